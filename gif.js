@@ -0,0 +1,267 @@
+// Animated GIF encoder, so recordings of the canvas can be saved without a server.
+// Frames are encoded as they're added, which spreads the work over the recording
+// instead of stalling the page when it stops:
+//   const gif = new GifEncoder(width, height);
+//   gif.addFrame(imageData.data, 7);
+//   const bytes = gif.finish();
+
+// --- Palette ---
+
+// GIFs hold at most 256 colors per frame. Every frame shares one fixed palette: a color cube
+// with 6 levels of red, 7 of green and 6 of blue, which the eye is most sensitive to.
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const PALETTE_COLORS = 256; // Size of the color table; the cube's 252 colors are padded with black
+
+/**
+ * Builds the color table shared by every frame.
+ * @returns {Uint8Array} PALETTE_COLORS RGB triplets.
+ */
+function buildPalette() {
+    const palette = new Uint8Array(PALETTE_COLORS * 3);
+    let i = 0;
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette[i++] = Math.round(r * 255 / (RED_LEVELS - 1));
+                palette[i++] = Math.round(g * 255 / (GREEN_LEVELS - 1));
+                palette[i++] = Math.round(b * 255 / (BLUE_LEVELS - 1));
+            }
+        }
+    }
+    return palette;
+}
+
+/**
+ * Maps RGBA pixels to the nearest colors of the palette.
+ * @param {Uint8ClampedArray|Uint8Array} rgba - Four bytes per pixel, e.g. ImageData.data. Alpha is ignored.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+function toPaletteIndices(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+        const r = Math.round(rgba[p] * (RED_LEVELS - 1) / 255);
+        const g = Math.round(rgba[p + 1] * (GREEN_LEVELS - 1) / 255);
+        const b = Math.round(rgba[p + 2] * (BLUE_LEVELS - 1) / 255);
+        indices[i] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+    }
+    return indices;
+}
+
+// --- Encoder ---
+
+const MIN_CODE_SIZE = 8;           // Bits per palette index
+const CLEAR_CODE = 1 << MIN_CODE_SIZE;
+const END_CODE = CLEAR_CODE + 1;
+const MAX_CODE = 4096;             // LZW codes are at most 12 bits wide
+const MAX_SUB_BLOCK = 255;         // Image data is split into blocks of at most this many bytes
+
+/**
+ * Collects bytes into a growing buffer.
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(4096);
+        this.length = 0;
+    }
+
+    /**
+     * Appends a single byte.
+     * @param {number} byte - The byte (0-255).
+     */
+    byte(byte) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = byte;
+    }
+
+    /**
+     * Appends a 16-bit little-endian number.
+     * @param {number} value - The number (0-65535).
+     */
+    short(value) {
+        this.byte(value & 0xFF);
+        this.byte((value >> 8) & 0xFF);
+    }
+
+    /**
+     * Appends the character codes of an ASCII string.
+     * @param {string} text - The text.
+     */
+    text(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    /**
+     * @returns {Uint8Array} The bytes written so far.
+     */
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Compresses palette indices with GIF's variant of LZW and writes them as data sub-blocks.
+ * @param {ByteWriter} out - Where to write the compressed data.
+ * @param {Uint8Array} indices - One palette index per pixel.
+ */
+function writeImageData(out, indices) {
+    out.byte(MIN_CODE_SIZE);
+
+    const block = new Uint8Array(MAX_SUB_BLOCK);
+    let blockLength = 0;
+    let bits = 0;      // Bits waiting to be written, lowest first
+    let bitCount = 0;
+    let codeSize = MIN_CODE_SIZE + 1;
+
+    const flushBlock = () => {
+        out.byte(blockLength);
+        for (let i = 0; i < blockLength; i++) out.byte(block[i]);
+        blockLength = 0;
+    };
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xFF;
+            if (blockLength === MAX_SUB_BLOCK) flushBlock();
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // Strings seen so far, keyed by (code of the string without its last index) * 256 + last index
+    const dictionary = new Map();
+    let nextCode = END_CODE + 1;
+    emit(CLEAR_CODE);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = prefix * 256 + index;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code; // Keep extending the longest known string
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            // The table is full: start over with a fresh one
+            emit(CLEAR_CODE);
+            dictionary.clear();
+            nextCode = END_CODE + 1;
+            codeSize = MIN_CODE_SIZE + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(END_CODE);
+
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xFF;
+        if (blockLength === MAX_SUB_BLOCK) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    out.byte(0); // Block terminator
+}
+
+/**
+ * Encodes frames of the same size into an endlessly looping animated GIF.
+ */
+export class GifEncoder {
+    /**
+     * Starts a new GIF.
+     * @param {number} width - Width of every frame in pixels.
+     * @param {number} height - Height of every frame in pixels.
+     */
+    constructor(width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0 ||
+            width > 65535 || height > 65535) {
+            throw new Error(`Invalid GIF size ${width}x${height}`);
+        }
+        this.width = width;
+        this.height = height;
+        this.frameCount = 0;
+        this.parts = [];    // Encoded chunks of the file, joined by finish()
+
+        const header = new ByteWriter();
+        header.text('GIF89a');
+        header.short(width);
+        header.short(height);
+        header.byte(0xF7); // Global color table of 256 colors, 8 bits per channel
+        header.byte(0);    // Background color index
+        header.byte(0);    // Square pixels
+        const palette = buildPalette();
+        for (let i = 0; i < palette.length; i++) header.byte(palette[i]);
+
+        // Netscape application extension: loop forever
+        header.byte(0x21);
+        header.byte(0xFF);
+        header.byte(11);
+        header.text('NETSCAPE2.0');
+        header.byte(3);
+        header.byte(1);
+        header.short(0); // Loop count, 0 for endless
+        header.byte(0);
+        this.parts.push(header.result());
+    }
+
+    /**
+     * Adds a frame to the animation.
+     * @param {Uint8ClampedArray|Uint8Array} rgba - width * height RGBA pixels, e.g. ImageData.data.
+     * @param {number} delay - How long the frame is shown, in hundredths of a second.
+     */
+    addFrame(rgba, delay) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error(`Frame has ${rgba.length / 4} pixels instead of ${this.width * this.height}`);
+        }
+        const out = new ByteWriter();
+
+        // Graphic control extension: the frame's delay; each frame covers the whole image
+        out.byte(0x21);
+        out.byte(0xF9);
+        out.byte(4);
+        out.byte(0x04); // Leave the frame in place when the next one is drawn, no transparency
+        out.short(Math.max(0, Math.min(65535, Math.round(delay))));
+        out.byte(0);    // Transparent color index (unused)
+        out.byte(0);
+
+        // Image descriptor: the full canvas, using the global color table
+        out.byte(0x2C);
+        out.short(0);
+        out.short(0);
+        out.short(this.width);
+        out.short(this.height);
+        out.byte(0);
+
+        writeImageData(out, toPaletteIndices(rgba));
+        this.parts.push(out.result());
+        this.frameCount++;
+    }
+
+    /**
+     * Ends the file. No frames can be added afterwards.
+     * @returns {Uint8Array} The complete GIF.
+     */
+    finish() {
+        this.parts.push(Uint8Array.of(0x3B)); // Trailer
+        let length = 0;
+        for (const part of this.parts) length += part.length;
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const part of this.parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        this.parts = null;
+        return bytes;
+    }
+}
@@ -1,642 +1,2009 @@
+import {
+    World, MATERIALS, EMPTY, SAND, AMBIENT_TEMP, CHUNK_SIZE, RENDER_TILE_SIZE, NEIGHBOR_OFFSETS, CHARGE_HEAD,
+    rgbToPixel, hslToPixel, parseScene, onMaterialRegistered, createRandomSeed, getMaterialPalette
+} from './world.js';
+import { GifEncoder } from './gif.js';
+
 // --- Utility Functions ---
 
 /**
- * Displays a temporary message in a box at the top of the screen.
- * @param {string} message - The message to display.
- * @param {number} duration - How long the message should be visible in milliseconds.
+ * Displays a temporary message in a box at the top of the screen.
+ * @param {string} message - The message to display.
+ * @param {number} duration - How long the message should be visible in milliseconds.
+ */
+function showMessage(message, duration = 3000) {
+    const messageBox = document.getElementById('messageBox');
+    messageBox.textContent = message;
+    messageBox.classList.add('show');
+    setTimeout(() => {
+        messageBox.classList.remove('show');
+    }, duration);
+}
+
+// --- Canvas and Game Setup ---
+
+const canvas = document.getElementById('gameCanvas');
+const ctx = canvas.getContext('2d');
+
+// The world has a size of its own, chosen in the World Size controls; the canvas only fills the
+// window, and the camera (see below) decides which part of the world it shows and how large
+const DEFAULT_ZOOM = 4;             // Screen pixels per cell in the world created on the first visit
+const MIN_WORLD_SIZE = 16;          // Smallest world width or height in cells
+const MAX_WORLD_SIZE = 1024;        // Largest world width or height in cells, which keeps the undo history affordable
+let world = null; // The World being shown and drawn into, see setWorld()
+
+const THERMAL_BRUSH_STEP = 25;      // Degrees added or removed per frame by the Heat/Cool brush
+const SPRAY_DENSITY = 0.15;         // Fraction of the brush area filled in spray mode
+
+// Rendering state: the grid is drawn into an ImageData at grid resolution,
+// then scaled onto the visible canvas through the camera with a single drawImage() call
+let gridCanvas = null;       // Offscreen canvas at grid resolution
+let gridCtx = null;
+let gridImageData = null;
+let gridPixels = null;       // Uint32Array view over gridImageData, one entry per cell
+let showChunks = false;      // When true, active chunks are outlined on top of the grid
+let showField = false;       // When true, magnetic field lines are drawn on top of the grid
+
+const OUTSIDE_WORLD_COLOR = '#2d3748'; // Canvas background around the edges of the world
+const CHARGE_HEAD_COLOR = rgbToPixel(255, 250, 210); // Glow drawn over heads
+const CHARGE_TAIL_COLOR = rgbToPixel(255, 170, 60);  // Glow drawn over tails
+const FIELD_LINE_SPACING = 12;      // Cells between the starting points of the field lines overlay
+const FIELD_LINE_STEPS = 16;        // Segments traced per field line
+const MIN_FIELD_STRENGTH = 0.02;    // Field lines stop where the pull is weaker than this
+
+let currentMaterial = SAND; // Default material to draw with
+let isDrawing = false;      // Flag to track if the user is currently drawing
+let lastX = -1, lastY = -1; // Stores the last drawn grid coordinates for line drawing
+let brushSize = 1;          // Initial brush size
+let brushMode = 'material'; // 'material' draws currentMaterial, 'heat'/'cool' change temperature
+let brushShape = 'square';  // 'square' or 'round'
+let sprayMode = false;      // When true, the brush only fills a random fraction of its area
+let drawTool = 'brush';     // 'brush', 'line', 'rect', 'filledRect', 'circle' or 'fill'
+let dragStartX = -1, dragStartY = -1; // Grid coordinates where a shape drag started
+let thermalView = false;    // When true, drawGrid() shows temperatures instead of materials
+
+/**
+ * Resizes the canvas to fit the window.
+ * The world keeps its size; the camera is only moved back in bounds if needed.
+ */
+function resizeCanvas() {
+    const sidebarWidth = 250; // Fixed sidebar width from CSS
+    canvas.width = Math.max(200, Math.floor(window.innerWidth * 0.9 - sidebarWidth));
+    canvas.height = Math.max(200, Math.floor(window.innerHeight * 0.9));
+    if (world) {
+        clampCamera();
+        drawGrid(); // Redraw the grid after resizing
+    }
+}
+
+/**
+ * Makes a world the one shown on the canvas and drawn into, with the camera fitted to it.
+ * @param {World} newWorld - The world to show.
+ */
+function setWorld(newWorld) {
+    stopVideo(); // Video frames can't change size halfway through
+    world = newWorld;
+    initRenderer();
+    fitCamera();
+    updateWorldSizeControls();
+}
+
+/**
+ * @param {number} width - Width in cells.
+ * @param {number} height - Height in cells.
+ * @returns {boolean} True if both sides are whole numbers between MIN_WORLD_SIZE and MAX_WORLD_SIZE.
+ */
+function isValidWorldSize(width, height) {
+    const valid = (size) => Number.isInteger(size) && size >= MIN_WORLD_SIZE && size <= MAX_WORLD_SIZE;
+    return valid(width) && valid(height);
+}
+
+/**
+ * Checks that a world size can be played in.
+ * @param {number} width - Width in cells.
+ * @param {number} height - Height in cells.
+ * @throws {Error} If either side is not a whole number between MIN_WORLD_SIZE and MAX_WORLD_SIZE.
+ */
+function checkWorldSize(width, height) {
+    if (!isValidWorldSize(width, height)) {
+        throw new Error(`World size must be ${MIN_WORLD_SIZE} to ${MAX_WORLD_SIZE} cells on each side`);
+    }
+}
+
+/**
+ * Creates a world the size of a scene and loads the scene into it.
+ * @param {Object} scene - A decoded scene, see parseScene().
+ * @returns {World} The new world.
+ * @throws {Error} If the scene is too small or too large to play in.
+ */
+function createSceneWorld(scene) {
+    checkWorldSize(scene.width, scene.height);
+    const sceneWorld = new World(scene.width, scene.height);
+    sceneWorld.load(scene, 'center');
+    return sceneWorld;
+}
+
+/**
+ * Changes the size of the world. The scene is copied into a new world of the new size,
+ * anchored to the bottom so piles stay on the floor.
+ * @param {number} width - New width in cells.
+ * @param {number} height - New height in cells.
+ */
+function resizeWorld(width, height) {
+    try {
+        checkWorldSize(width, height);
+    } catch (error) {
+        updateWorldSizeControls();
+        showMessage(error.message);
+        return;
+    }
+    if (width === world.width && height === world.height) return;
+
+    stopRecording('Recording stopped: the world was resized');
+    stopReplay('Replay stopped: the world was resized');
+    const resized = new World(width, height);
+    resized.load(world.snapshot(), 'bottom');
+    setWorld(resized);
+    clearHistory(); // Recorded cell indices don't match the new dimensions
+    drawGrid();
+    showMessage(`World Size: ${width}×${height}`);
+}
+
+/**
+ * Shows the size of the current world in the World Size controls.
+ */
+function updateWorldSizeControls() {
+    const size = `${world.width}x${world.height}`;
+    const select = document.getElementById('worldSize');
+    select.value = [...select.options].some((option) => option.value === size) ? size : 'custom';
+    document.getElementById('worldWidth').value = world.width;
+    document.getElementById('worldHeight').value = world.height;
+}
+
+// --- Camera ---
+
+// camera.x and camera.y are the world coordinates (in cells) shown at the top-left corner of the
+// canvas, and camera.zoom is the number of canvas pixels per cell. The mouse wheel and pinching
+// zoom around the pointer; dragging with the middle mouse button or two fingers pans.
+const MIN_ZOOM = 0.25;              // Canvas pixels per cell when zoomed all the way out
+const MAX_ZOOM = 32;                // Canvas pixels per cell when zoomed all the way in
+const WHEEL_ZOOM_SPEED = 0.002;     // How fast the wheel zooms, per pixel scrolled
+const WHEEL_LINE_HEIGHT = 16;       // Pixels per line, for wheels that scroll by lines
+
+const camera = { x: 0, y: 0, zoom: DEFAULT_ZOOM };
+let panPosition = null;     // Canvas position of the mouse while panning with the middle button
+let pinch = null;           // { x, y, distance } of the two fingers while pinching, see getPinch()
+
+/**
+ * Converts a position on the screen to canvas pixels, which differ when CSS stretches the canvas.
+ * @param {number} clientX - Horizontal position in the viewport.
+ * @param {number} clientY - Vertical position in the viewport.
+ * @returns {{x: number, y: number}} The position in canvas pixels.
+ */
+function toCanvasPosition(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * canvas.width / rect.width,
+        y: (clientY - rect.top) * canvas.height / rect.height
+    };
+}
+
+/**
+ * Keeps one camera coordinate in bounds: a world smaller than the canvas is centered,
+ * and a larger one always fills the canvas.
+ * @param {number} position - Camera coordinate in cells.
+ * @param {number} visible - Cells that fit on the canvas along this axis.
+ * @param {number} size - Size of the world along this axis.
+ * @returns {number} The clamped coordinate.
+ */
+function clampCameraAxis(position, visible, size) {
+    if (visible >= size) return (size - visible) / 2;
+    return Math.min(Math.max(position, 0), size - visible);
+}
+
+/**
+ * Keeps the zoom within its limits and the world on the canvas.
+ */
+function clampCamera() {
+    camera.zoom = Math.min(Math.max(camera.zoom, MIN_ZOOM), MAX_ZOOM);
+    camera.x = clampCameraAxis(camera.x, canvas.width / camera.zoom, world.width);
+    camera.y = clampCameraAxis(camera.y, canvas.height / camera.zoom, world.height);
+}
+
+/**
+ * Zooms so the whole world fits on the canvas, at a whole number of pixels per cell if it's
+ * enlarged so every cell is drawn the same size.
+ */
+function fitCamera() {
+    const fit = Math.min(canvas.width / world.width, canvas.height / world.height);
+    camera.zoom = fit >= 1 ? Math.floor(fit) : fit;
+    clampCamera();
+}
+
+/**
+ * Zooms in or out, keeping the cell under a point of the canvas in place.
+ * @param {number} factor - How much to enlarge the world (below 1 zooms out).
+ * @param {number} x - Horizontal canvas position to zoom around.
+ * @param {number} y - Vertical canvas position to zoom around.
+ */
+function zoomCamera(factor, x, y) {
+    const worldX = camera.x + x / camera.zoom;
+    const worldY = camera.y + y / camera.zoom;
+    camera.zoom = Math.min(Math.max(camera.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+    camera.x = worldX - x / camera.zoom;
+    camera.y = worldY - y / camera.zoom;
+    clampCamera();
+}
+
+/**
+ * Moves the view along with the pointer.
+ * @param {number} dx - Horizontal distance moved in canvas pixels.
+ * @param {number} dy - Vertical distance moved in canvas pixels.
+ */
+function panCamera(dx, dy) {
+    camera.x -= dx / camera.zoom;
+    camera.y -= dy / camera.zoom;
+    clampCamera();
+}
+
+/**
+ * Zooms with the mouse wheel around the mouse.
+ * @param {WheelEvent} event - The event object.
+ */
+function zoomWithWheel(event) {
+    event.preventDefault(); // Don't scroll the page
+    const delta = event.deltaMode === 1 ? event.deltaY * WHEEL_LINE_HEIGHT : event.deltaY;
+    const { x, y } = toCanvasPosition(event.clientX, event.clientY);
+    zoomCamera(Math.exp(-delta * WHEEL_ZOOM_SPEED), x, y);
+    trackHover(event); // A different cell is under the mouse now
+}
+
+/**
+ * Starts panning with the middle mouse button.
+ * @param {MouseEvent} event - The event object.
+ */
+function startPan(event) {
+    event.preventDefault(); // Don't start the browser's autoscroll
+    panPosition = toCanvasPosition(event.clientX, event.clientY);
+}
+
+/**
+ * Pans while the middle mouse button is held.
+ * @param {MouseEvent} event - The event object.
+ */
+function movePan(event) {
+    if (!panPosition) return;
+    const position = toCanvasPosition(event.clientX, event.clientY);
+    panCamera(position.x - panPosition.x, position.y - panPosition.y);
+    panPosition = position;
+}
+
+/**
+ * Stops panning with the middle mouse button.
+ */
+function stopPan() {
+    panPosition = null;
+}
+
+/**
+ * Measures a two-finger gesture.
+ * @param {TouchList} touches - The touches of a touch event, at least two.
+ * @returns {{x: number, y: number, distance: number}} The point halfway between the first two
+ *     fingers and the distance between them, in canvas pixels.
+ */
+function getPinch(touches) {
+    const a = toCanvasPosition(touches[0].clientX, touches[0].clientY);
+    const b = toCanvasPosition(touches[1].clientX, touches[1].clientY);
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)) };
+}
+
+/**
+ * Follows a two-finger gesture: moving the fingers together pans, spreading or closing them zooms.
+ * @param {TouchEvent} event - The event object.
+ */
+function movePinch(event) {
+    const next = getPinch(event.touches);
+    panCamera(next.x - pinch.x, next.y - pinch.y);
+    zoomCamera(next.distance / pinch.distance, next.x, next.y);
+    pinch = next;
+}
+
+// --- Rendering ---
+
+/**
+ * Creates the offscreen canvas and ImageData for the size of the current world.
+ */
+function initRenderer() {
+    gridCanvas = document.createElement('canvas');
+    gridCanvas.width = world.width;
+    gridCanvas.height = world.height;
+    gridCtx = gridCanvas.getContext('2d');
+    gridImageData = gridCtx.createImageData(world.width, world.height);
+    gridPixels = new Uint32Array(gridImageData.data.buffer);
+}
+
+/**
+ * Maps a temperature to a color for the thermal view, from blue (cold) to red (hot).
+ * @param {number} temp - Temperature in degrees Celsius.
+ * @returns {number} The packed pixel (0xAABBGGRR).
+ */
+function temperatureToColor(temp) {
+    // Square root scale gives more color range to everyday temperatures than to lava
+    const t = Math.sqrt(Math.min(Math.max((temp + 50) / 1550, 0), 1));
+    const hue = Math.round(240 * (1 - t));
+    return hslToPixel(hue, 100, temp > AMBIENT_TEMP ? 50 : 35);
+}
+
+/**
+ * Copies a rectangle of cells into the ImageData and uploads it to the offscreen canvas.
+ * @param {number} x0 - Left grid X coordinate.
+ * @param {number} y0 - Top grid Y coordinate.
+ * @param {number} width - Width in cells.
+ * @param {number} height - Height in cells.
+ */
+function renderRegion(x0, y0, width, height) {
+    const x1 = Math.min(x0 + width, world.width);
+    const y1 = Math.min(y0 + height, world.height);
+    for (let y = y0; y < y1; y++) {
+        for (let i = y * world.width + x0, end = y * world.width + x1; i < end; i++) {
+            if (thermalView) {
+                gridPixels[i] = temperatureToColor(world.cellTemps[i]);
+            } else {
+                const charge = world.cellCharges[i];
+                if (charge === 0) {
+                    gridPixels[i] = world.cellColors[i];
+                } else {
+                    gridPixels[i] = charge === CHARGE_HEAD ? CHARGE_HEAD_COLOR : CHARGE_TAIL_COLOR; // Charged cells glow
+                }
+            }
+        }
+    }
+    gridCtx.putImageData(gridImageData, 0, 0, x0, y0, x1 - x0, y1 - y0);
+}
+
+/**
+ * Draws the current state of the grid onto the canvas.
+ * Only tiles that changed since the last draw are copied into the ImageData,
+ * merging neighboring dirty tiles in a row into a single upload.
+ */
+function drawGrid() {
+    // Temperatures change everywhere, every frame, so the thermal view redraws everything
+    if (thermalView) world.markAllDirty();
+
+    for (let ty = 0; ty < world.tilesY; ty++) {
+        let spanStart = -1;
+        for (let tx = 0; tx <= world.tilesX; tx++) {
+            const tile = ty * world.tilesX + tx;
+            if (tx < world.tilesX && world.dirtyTiles[tile]) {
+                world.dirtyTiles[tile] = 0;
+                if (spanStart < 0) spanStart = tx;
+            } else if (spanStart >= 0) {
+                renderRegion(spanStart * RENDER_TILE_SIZE, ty * RENDER_TILE_SIZE,
+                    (tx - spanStart) * RENDER_TILE_SIZE, RENDER_TILE_SIZE);
+                spanStart = -1;
+            }
+        }
+    }
+
+    // Scale the grid-resolution image onto the canvas through the camera in one blit, keeping hard pixel edges
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = OUTSIDE_WORLD_COLOR;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(camera.zoom, 0, 0, camera.zoom, -camera.x * camera.zoom, -camera.y * camera.zoom);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(gridCanvas, 0, 0);
+    drawOverlays(ctx, camera.zoom);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+/**
+ * Draws the enabled overlays and the shape being dragged out on top of the grid.
+ * @param {CanvasRenderingContext2D} context - Context transformed so that one unit is one cell.
+ * @param {number} scale - Pixels per cell, so lines come out one pixel wide at any zoom.
+ */
+function drawOverlays(context, scale) {
+    if (showChunks) drawChunkOverlay(context, scale);
+    if (showField) drawFieldOverlay(context, scale);
+    if (isDrawing && isShapeTool(drawTool)) drawShapePreview(context);
+}
+
+/**
+ * Debug overlay: outlines the chunks that were simulated during the last frame.
+ * @param {CanvasRenderingContext2D} context - Context transformed so that one unit is one cell.
+ * @param {number} scale - Pixels per cell.
+ */
+function drawChunkOverlay(context, scale) {
+    const line = 1 / scale;
+    context.strokeStyle = 'rgba(72, 187, 120, 0.8)';
+    context.lineWidth = line;
+    for (let cy = 0; cy < world.chunksY; cy++) {
+        for (let cx = 0; cx < world.chunksX; cx++) {
+            if (world.chunkActive[cy * world.chunksX + cx]) {
+                context.strokeRect(cx * CHUNK_SIZE + line / 2, cy * CHUNK_SIZE + line / 2,
+                    CHUNK_SIZE - line, CHUNK_SIZE - line);
+            }
+        }
+    }
+}
+
+/**
+ * Overlay: traces field lines from a grid of starting points towards the magnets pulling on them.
+ * @param {CanvasRenderingContext2D} context - Context transformed so that one unit is one cell.
+ * @param {number} scale - Pixels per cell.
+ */
+function drawFieldOverlay(context, scale) {
+    if (world.getMagnetSources().length === 0) return;
+    context.strokeStyle = 'rgba(129, 140, 248, 0.7)';
+    context.lineWidth = 1 / scale;
+    context.beginPath();
+    for (let startY = FIELD_LINE_SPACING / 2; startY < world.height; startY += FIELD_LINE_SPACING) {
+        for (let startX = FIELD_LINE_SPACING / 2; startX < world.width; startX += FIELD_LINE_SPACING) {
+            let x = startX;
+            let y = startY;
+            context.moveTo(x, y);
+            for (let step = 0; step < FIELD_LINE_STEPS; step++) {
+                const pull = world.getMagneticPull(x, y);
+                const strength = Math.hypot(pull.x, pull.y);
+                if (strength < MIN_FIELD_STRENGTH) break; // Too weak to be worth drawing
+                x += pull.x / strength * 2; // Two cells per step along the field
+                y += pull.y / strength * 2;
+                context.lineTo(x, y);
+            }
+        }
+    }
+    context.stroke();
+}
+
+/**
+ * Applies the current brush mode to a single cell: paints the material,
+ * or heats/cools the cell with the Heat or Cool brush selected.
+ * @param {number} gx - Grid X coordinate.
+ * @param {number} gy - Grid Y coordinate.
+ * @param {number} material - The material to draw.
+ */
+function applyToolToCell(gx, gy, material) {
+    if (brushMode === 'heat') {
+        world.changeTemperature(gx, gy, THERMAL_BRUSH_STEP);
+    } else if (brushMode === 'cool') {
+        world.changeTemperature(gx, gy, -THERMAL_BRUSH_STEP);
+    } else {
+        paintPixel(gx, gy, material);
+    }
+}
+
+/**
+ * Calls a function for every cell covered by the brush, respecting the brush shape.
+ * @param {number} gx - Grid X coordinate of the brush center.
+ * @param {number} gy - Grid Y coordinate of the brush center.
+ * @param {number} size - The brush size.
+ * @param {function(number, number): void} callback - Receives the X and Y of each covered cell.
+ */
+function forEachBrushCell(gx, gy, size, callback) {
+    const halfSize = Math.floor(size / 2);
+    const radiusSquared = (size / 2) * (size / 2);
+    for (let yOffset = -halfSize; yOffset <= halfSize; yOffset++) {
+        for (let xOffset = -halfSize; xOffset <= halfSize; xOffset++) {
+            // Round brushes skip the corners outside the circle
+            if (brushShape === 'round' && xOffset * xOffset + yOffset * yOffset > radiusSquared) continue;
+            callback(gx + xOffset, gy + yOffset);
+        }
+    }
+}
+
+/**
+ * Draws a pixel or a square/round patch of pixels based on brushSize and brushShape.
+ * In spray mode only a random fraction of the brush area is drawn.
+ * With the Heat or Cool brush selected, changes the temperature of the pixels instead.
+ * @param {number} gx - Grid X coordinate.
+ * @param {number} gy - Grid Y coordinate.
+ * @param {number} material - The material to draw.
+ * @param {number} size - The brush size.
+ */
+function drawBrush(gx, gy, material, size) {
+    forEachBrushCell(gx, gy, size, (x, y) => {
+        if (sprayMode && world.random() > SPRAY_DENSITY) return; // Scatter instead of filling (seeded, so replays match)
+        applyToolToCell(x, y, material);
+    });
+}
+
+/**
+ * Implements Bresenham's Line Algorithm, calling a function for every point on the line.
+ * @param {number} x0 - Starting X grid coordinate.
+ * @param {number} y0 - Starting Y grid coordinate.
+ * @param {number} x1 - Ending X grid coordinate.
+ * @param {number} y1 - Ending Y grid coordinate.
+ * @param {function(number, number): void} plot - Receives the X and Y of each point.
+ */
+function traceLine(x0, y0, x1, y1, plot) {
+    const dx = Math.abs(x1 - x0);
+    const dy = Math.abs(y1 - y0);
+    const sx = (x0 < x1) ? 1 : -1;
+    const sy = (y0 < y1) ? 1 : -1;
+    let err = dx - dy; // Error term
+
+    while (true) {
+        plot(x0, y0);
+        if (x0 === x1 && y0 === y1) break; // End of line
+
+        const e2 = 2 * err;
+        if (e2 > -dy) { err -= dy; x0 += sx; } // Move along X
+        if (e2 < dx) { err += dx; y0 += sy; } // Move along Y
+    }
+}
+
+/**
+ * Draws a line of pixels with the brush.
+ * This creates smoother drawing when dragging the mouse/finger.
+ * @param {number} x0 - Starting X grid coordinate.
+ * @param {number} y0 - Starting Y grid coordinate.
+ * @param {number} x1 - Ending X grid coordinate.
+ * @param {number} y1 - Ending Y grid coordinate.
+ * @param {number} material - The material to draw.
+ * @param {number} size - The brush size.
+ */
+function drawLine(x0, y0, x1, y1, material, size) {
+    traceLine(x0, y0, x1, y1, (x, y) => drawBrush(x, y, material, size)); // Draw each point with brush size
+}
+
+/**
+ * Implements the midpoint circle algorithm, calling a function for every point on the outline.
+ * @param {number} cx - Center X grid coordinate.
+ * @param {number} cy - Center Y grid coordinate.
+ * @param {number} radius - Radius in cells.
+ * @param {function(number, number): void} plot - Receives the X and Y of each point.
+ */
+function traceCircle(cx, cy, radius, plot) {
+    let x = radius;
+    let y = 0;
+    let err = 1 - radius; // Decision term
+
+    while (x >= y) {
+        // Each computed point is mirrored into all eight octants
+        plot(cx + x, cy + y); plot(cx - x, cy + y);
+        plot(cx + x, cy - y); plot(cx - x, cy - y);
+        plot(cx + y, cy + x); plot(cx - y, cy + x);
+        plot(cx + y, cy - x); plot(cx - y, cy - x);
+
+        y++;
+        if (err < 0) {
+            err += 2 * y + 1;
+        } else {
+            x--;
+            err += 2 * (y - x) + 1;
+        }
+    }
+}
+
+/**
+ * Calls a function for every point of a shape tool's outline, or every cell
+ * inside it for filled shapes.
+ * @param {string} tool - 'line', 'rect', 'filledRect' or 'circle'.
+ * @param {number} x0 - Grid X coordinate where the drag started.
+ * @param {number} y0 - Grid Y coordinate where the drag started.
+ * @param {number} x1 - Grid X coordinate where the drag is now.
+ * @param {number} y1 - Grid Y coordinate where the drag is now.
+ * @param {function(number, number): void} plot - Receives the X and Y of each point.
+ */
+function traceShape(tool, x0, y0, x1, y1, plot) {
+    if (tool === 'line') {
+        traceLine(x0, y0, x1, y1, plot);
+    } else if (tool === 'rect') {
+        traceLine(x0, y0, x1, y0, plot);
+        traceLine(x1, y0, x1, y1, plot);
+        traceLine(x1, y1, x0, y1, plot);
+        traceLine(x0, y1, x0, y0, plot);
+    } else if (tool === 'filledRect') {
+        for (let y = Math.min(y0, y1); y <= Math.max(y0, y1); y++) {
+            for (let x = Math.min(x0, x1); x <= Math.max(x0, x1); x++) {
+                plot(x, y);
+            }
+        }
+    } else if (tool === 'circle') {
+        // The drag goes from the center to a point on the edge
+        traceCircle(x0, y0, Math.round(Math.hypot(x1 - x0, y1 - y0)), plot);
+    }
+}
+
+/**
+ * Draws the shape being dragged into the grid with the current material and brush.
+ * Outlines are stamped with the brush; filled rectangles fill every cell inside.
+ */
+function commitShape() {
+    traceShape(drawTool, dragStartX, dragStartY, lastX, lastY, (x, y) => {
+        if (drawTool === 'filledRect') {
+            applyToolToCell(x, y, currentMaterial);
+        } else {
+            drawBrush(x, y, currentMaterial, brushSize);
+        }
+    });
+}
+
+/**
+ * Replaces the connected region of same-material cells around a point with a material.
+ * With the Heat or Cool brush selected, heats or cools the region instead.
+ * @param {number} gx - Grid X coordinate of the starting cell.
+ * @param {number} gy - Grid Y coordinate of the starting cell.
+ * @param {number} material - The material to fill with.
+ */
+function floodFill(gx, gy, material) {
+    if (!world.inBounds(gx, gy)) return;
+    const targetType = world.get(gx, gy);
+    if (brushMode === 'material' && targetType === material) return; // Nothing would change
+
+    const visited = new Uint8Array(world.width * world.height);
+    const stack = [gy * world.width + gx];
+    visited[stack[0]] = 1;
+
+    while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % world.width;
+        const y = (i / world.width) | 0;
+        applyToolToCell(x, y, material);
+
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (!world.inBounds(nx, ny)) continue;
+            const n = ny * world.width + nx;
+            if (!visited[n] && world.cellTypes[n] === targetType) {
+                visited[n] = 1;
+                stack.push(n);
+            }
+        }
+    }
+}
+
+/**
+ * Draws a translucent preview of the shape being dragged on top of the grid.
+ * @param {CanvasRenderingContext2D} context - Context transformed so that one unit is one cell.
+ */
+function drawShapePreview(context) {
+    context.save();
+    context.globalAlpha = 0.6;
+    if (brushMode === 'heat') {
+        context.fillStyle = '#dd6b20';
+    } else if (brushMode === 'cool') {
+        context.fillStyle = '#3182ce';
+    } else {
+        context.fillStyle = MATERIALS[currentMaterial].buttonColor;
+    }
+
+    if (drawTool === 'filledRect') {
+        // A filled rectangle previews as a single rectangle
+        const x = Math.min(dragStartX, lastX);
+        const y = Math.min(dragStartY, lastY);
+        context.fillRect(x, y, Math.abs(lastX - dragStartX) + 1, Math.abs(lastY - dragStartY) + 1);
+    } else {
+        // Collect the cells first so overlapping brush stamps aren't drawn twice
+        const cells = new Set();
+        traceShape(drawTool, dragStartX, dragStartY, lastX, lastY, (px, py) => {
+            forEachBrushCell(px, py, brushSize, (x, y) => {
+                if (world.inBounds(x, y)) cells.add(y * world.width + x);
+            });
+        });
+        // One path for all of them, so no seams show between cells at fractional zoom levels
+        context.beginPath();
+        for (const i of cells) {
+            context.rect(i % world.width, (i / world.width) | 0, 1, 1);
+        }
+        context.fill();
+    }
+    context.restore();
+}
+
+/**
+ * Checks whether a drawing tool is dragged out as a shape and drawn on release.
+ * @param {string} tool - The drawing tool.
+ * @returns {boolean} True for the line, rectangle and circle tools.
+ */
+function isShapeTool(tool) {
+    return tool === 'line' || tool === 'rect' || tool === 'filledRect' || tool === 'circle';
+}
+
+// --- User Interaction (Drawing) ---
+
+/**
+ * Converts the position of a mouse or touch event to grid coordinates.
+ * @param {MouseEvent|TouchEvent} event - The event object.
+ * @returns {{gx: number, gy: number}} The grid coordinates under the pointer.
+ */
+function getGridCoordinates(event) {
+    let clientX, clientY;
+
+    // Differentiate between mouse and touch events
+    if (event.touches) {
+        clientX = event.touches[0].clientX;
+        clientY = event.touches[0].clientY;
+    } else {
+        clientX = event.clientX;
+        clientY = event.clientY;
+    }
+
+    // Convert screen coordinates to grid coordinates through the camera
+    const { x, y } = toCanvasPosition(clientX, clientY);
+    return {
+        gx: Math.floor(camera.x + x / camera.zoom),
+        gy: Math.floor(camera.y + y / camera.zoom)
+    };
+}
+
+/**
+ * Handles the start of drawing (mouse down or touch start).
+ * @param {MouseEvent|TouchEvent} event - The event object.
+ */
+function startDrawing(event) {
+    if (isDrawing && !replay) return; // Another button pressed during a stroke
+    const { gx, gy } = getGridCoordinates(event);
+    handleInput('down', gx, gy, getToolSettings());
+}
+
+/**
+ * Handles drawing while the mouse/touch is moving.
+ * Ignored during a replay, which moves the pen itself.
+ * @param {MouseEvent|TouchEvent} event - The event object.
+ */
+function draw(event) {
+    if (!isDrawing || replay) return; // Only draw if drawing is active
+    event.preventDefault(); // Prevent default browser actions (like scrolling on touch)
+
+    const { gx, gy } = getGridCoordinates(event);
+    if (gx !== lastX || gy !== lastY) {
+        handleInput('move', gx, gy);
+    }
+}
+
+/**
+ * Handles the end of drawing (mouse up or touch end).
+ */
+function stopDrawing() {
+    if (!isDrawing || replay) return;
+    handleInput('up');
+}
+
+/**
+ * Puts the pen down at grid coordinates.
+ * The brush paints right away, Fill fills on click, and shape tools start a drag.
+ * @param {number} gx - Grid X coordinate.
+ * @param {number} gy - Grid Y coordinate.
+ */
+function penDown(gx, gy) {
+    isDrawing = true;
+    beginStroke(); // Record everything painted until the mouse/touch is released
+
+    if (drawTool === 'brush') {
+        drawBrush(gx, gy, currentMaterial, brushSize); // Draw the initial pixel with brush size
+    } else if (drawTool === 'fill') {
+        floodFill(gx, gy, currentMaterial);
+    }
+    lastX = gx; // Store for line drawing and shape previews
+    lastY = gy;
+    dragStartX = gx;
+    dragStartY = gy;
+}
+
+/**
+ * Moves the pen that's down to grid coordinates, drawing a line from its last position with the brush.
+ * Shape tools only follow the pen here; they are drawn when it's lifted.
+ * @param {number} gx - Grid X coordinate.
+ * @param {number} gy - Grid Y coordinate.
+ */
+function penMove(gx, gy) {
+    if (drawTool === 'brush') {
+        drawLine(lastX, lastY, gx, gy, currentMaterial, brushSize);
+    }
+    lastX = gx;
+    lastY = gy;
+}
+
+/**
+ * Lifts the pen, committing the shape being dragged, if any.
+ */
+function penUp() {
+    if (isDrawing && isShapeTool(drawTool)) {
+        commitShape();
+    }
+    isDrawing = false;
+    lastX = -1; // Reset last coordinates
+    lastY = -1;
+    endStroke(); // Store the finished stroke as one undo step
+}
+
+// --- Undo / Redo History ---
+
+// The history stores only the cells a stroke changed, not full snapshots.
+// The simulation keeps running between a stroke and its undo, so undo only reverts
+// cells that still hold what the stroke put there; cells the simulation has changed
+// since (sand that fell, fuel that burned) are left as they are. Redo works the same
+// way in reverse. Heat/Cool strokes only change temperature and aren't recorded.
+const HISTORY_LIMIT = 50; // Maximum number of undo steps kept
+
+let undoStack = [];        // History entries that can be undone, newest last
+let redoStack = [];        // Undone entries that can be redone, newest last
+let currentStroke = null;  // Changes recorded while a stroke is in progress, see createChangeList()
+let strokeSlots = null;    // Per cell, 1 + its position in currentStroke, or 0 while the stroke hasn't touched it
+
+/**
+ * Creates an empty list of cell changes. Each field is a typed array with one entry per change,
+ * so even a stroke that covers the whole grid takes a few bytes per cell.
+ * @param {number} capacity - Changes that fit before the arrays have to grow.
+ * @returns {Object} The list: its length and the indices, beforeTypes, beforeSeeds, beforeTemps,
+ *     afterTypes and afterSeeds arrays.
+ */
+function createChangeList(capacity) {
+    return {
+        length: 0,
+        indices: new Uint32Array(capacity),
+        beforeTypes: new Uint8Array(capacity),
+        beforeSeeds: new Uint8Array(capacity),
+        beforeTemps: new Float32Array(capacity),
+        afterTypes: new Uint8Array(capacity),
+        afterSeeds: new Uint8Array(capacity)
+    };
+}
+
+/**
+ * Appends a cell to a change list, remembering its current contents as the 'before' state.
+ * The arrays double in size when they're full.
+ * @param {Object} changes - From createChangeList().
+ * @param {number} i - Cell index.
+ * @returns {number} The position of the change in the list.
+ */
+function addChange(changes, i) {
+    if (changes.length === changes.indices.length) {
+        const grown = createChangeList(Math.max(16, changes.length * 2));
+        for (const key of ['indices', 'beforeTypes', 'beforeSeeds', 'beforeTemps', 'afterTypes', 'afterSeeds']) {
+            grown[key].set(changes[key]);
+            changes[key] = grown[key];
+        }
+    }
+    const k = changes.length++;
+    changes.indices[k] = i;
+    changes.beforeTypes[k] = world.cellTypes[i];
+    changes.beforeSeeds[k] = world.cellSeeds[i];
+    changes.beforeTemps[k] = world.cellTemps[i];
+    return k;
+}
+
+/**
+ * Starts recording a new stroke, finishing one that's still open first.
+ */
+function beginStroke() {
+    endStroke();
+    currentStroke = createChangeList(256);
+    if (!strokeSlots || strokeSlots.length !== world.cellTypes.length) {
+        strokeSlots = new Uint32Array(world.cellTypes.length);
+    }
+}
+
+/**
+ * Paints a single pixel as part of the current stroke, remembering what was there before.
+ * @param {number} gx - Grid X coordinate.
+ * @param {number} gy - Grid Y coordinate.
+ * @param {number} material - The material to paint.
+ */
+function paintPixel(gx, gy, material) {
+    if (!world.inBounds(gx, gy)) return;
+
+    const i = gy * world.width + gx;
+    let k = -1;
+    if (currentStroke) {
+        k = strokeSlots[i] - 1;
+        if (k < 0) {
+            // First time this stroke touches the cell: remember its original contents
+            k = addChange(currentStroke, i);
+            strokeSlots[i] = k + 1;
+        }
+    }
+
+    world.set(gx, gy, material);
+
+    if (k >= 0) {
+        currentStroke.afterTypes[k] = world.cellTypes[i];
+        currentStroke.afterSeeds[k] = world.cellSeeds[i];
+    }
+}
+
+/**
+ * Packs a list of cell changes into a compact history entry.
+ * Changes that left a cell's material as it was are dropped.
+ * @param {Object} changes - From createChangeList(), with the 'after' state filled in.
+ * @returns {Object} The history entry with one typed array per field.
+ */
+function createHistoryEntry(changes) {
+    let kept = 0;
+    for (let k = 0; k < changes.length; k++) {
+        if (changes.beforeTypes[k] !== changes.afterTypes[k]) kept++;
+    }
+    const entry = createChangeList(kept);
+    for (let k = 0, e = 0; k < changes.length; k++) {
+        if (changes.beforeTypes[k] === changes.afterTypes[k]) continue;
+        entry.indices[e] = changes.indices[k];
+        entry.beforeTypes[e] = changes.beforeTypes[k];
+        entry.beforeSeeds[e] = changes.beforeSeeds[k];
+        entry.beforeTemps[e] = changes.beforeTemps[k];
+        entry.afterTypes[e] = changes.afterTypes[k];
+        entry.afterSeeds[e] = changes.afterSeeds[k];
+        e++;
+    }
+    entry.length = kept;
+    return entry;
+}
+
+/**
+ * Adds an entry to the undo history, dropping the oldest one past HISTORY_LIMIT.
+ * A new action makes the undone entries unreachable, so the redo stack is cleared.
+ * @param {Object} entry - From createHistoryEntry().
+ */
+function pushHistory(entry) {
+    if (entry.indices.length === 0) return; // Nothing actually changed
+    undoStack.push(entry);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+/**
+ * Finishes the current stroke and stores it as one undo step.
+ */
+function endStroke() {
+    if (!currentStroke) return;
+    for (let k = 0; k < currentStroke.length; k++) {
+        strokeSlots[currentStroke.indices[k]] = 0; // Ready for the next stroke
+    }
+    pushHistory(createHistoryEntry(currentStroke));
+    currentStroke = null;
+}
+
+/**
+ * Records clearing the whole grid as one undo step.
+ */
+function recordClear() {
+    let filled = 0;
+    for (let i = 0; i < world.cellTypes.length; i++) {
+        if (world.cellTypes[i] !== EMPTY) filled++;
+    }
+    const changes = createChangeList(filled);
+    for (let i = 0; i < world.cellTypes.length; i++) {
+        if (world.cellTypes[i] !== EMPTY) {
+            const k = addChange(changes, i);
+            changes.afterTypes[k] = EMPTY;
+        }
+    }
+    pushHistory(createHistoryEntry(changes));
+}
+
+/**
+ * Empties the grid as one undo step.
+ */
+function clearAll() {
+    recordClear(); // Let Clear All be undone
+    world.clear(); // Reset the grid to empty
+    drawGrid(); // Redraw the cleared grid
+    showMessage('Canvas Cleared!');
+}
+
+/**
+ * Forgets all undo and redo steps, e.g. when the grid is replaced or resized
+ * and the recorded cell indices no longer line up.
+ */
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    currentStroke = null;
+    strokeSlots = null;
+}
+
+/**
+ * Reverts or reapplies a history entry.
+ * Only cells that still hold the expected material are changed.
+ * @param {Object} entry - The history entry.
+ * @param {boolean} isUndo - True to restore the 'before' state, false to reapply the 'after' state.
+ * @returns {number} The number of cells skipped because the simulation had changed them.
+ */
+function applyHistoryEntry(entry, isUndo) {
+    let skipped = 0;
+    for (let k = 0; k < entry.indices.length; k++) {
+        const i = entry.indices[k];
+        const expectedType = isUndo ? entry.afterTypes[k] : entry.beforeTypes[k];
+        if (world.cellTypes[i] !== expectedType) {
+            skipped++;
+            continue;
+        }
+
+        const gx = i % world.width;
+        const gy = (i / world.width) | 0;
+        if (isUndo) {
+            world.set(gx, gy, entry.beforeTypes[k], entry.beforeSeeds[k]);
+            world.cellTemps[i] = entry.beforeTemps[k];
+        } else {
+            world.set(gx, gy, entry.afterTypes[k], entry.afterSeeds[k]);
+        }
+    }
+    return skipped;
+}
+
+/**
+ * Undoes the most recent stroke or Clear All.
+ */
+function undo() {
+    endStroke(); // Finish a stroke that's still in progress first
+    const entry = undoStack.pop();
+    if (!entry) {
+        showMessage('Nothing to undo');
+        return;
+    }
+    const skipped = applyHistoryEntry(entry, true);
+    redoStack.push(entry);
+    showMessage(skipped > 0 ? `Undo (${skipped} pixels changed since were left as they are)` : 'Undo');
+}
+
+/**
+ * Redoes the most recently undone step.
+ */
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        showMessage('Nothing to redo');
+        return;
+    }
+    const skipped = applyHistoryEntry(entry, false);
+    undoStack.push(entry);
+    showMessage(skipped > 0 ? `Redo (${skipped} pixels changed since were left as they are)` : 'Redo');
+}
+
+// --- Saving and Loading ---
+
+/**
+ * Offers data to the user as a file download.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - Suggested name for the file.
+ */
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Saves the current scene as a downloadable JSON file.
+ */
+function saveSceneToFile() {
+    const json = JSON.stringify(world.serialize(true));
+    downloadFile(new Blob([json], { type: 'application/json' }), 'scene.sand.json');
+    showMessage('Scene Saved!');
+}
+
+/**
+ * Loads a scene from a file chosen by the user, in a world of the scene's size.
+ * A scene too small or too large for a world of its own is centered in the current world instead,
+ * cropped or surrounded by empty space.
+ * @param {File} file - The scene file.
+ */
+function loadSceneFromFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const scene = parseScene(JSON.parse(reader.result));
+            stopRecording('Recording stopped: a scene was loaded');
+            stopReplay();
+            const fitsWorld = isValidWorldSize(scene.width, scene.height);
+            if (fitsWorld) {
+                setWorld(createSceneWorld(scene));
+            } else {
+                world.load(scene, 'center');
+            }
+            clearHistory(); // The old strokes don't belong to the loaded scene
+            drawGrid();
+            showMessage(fitsWorld ? `Loaded ${file.name}` : `Loaded ${file.name} into the ${world.width}×${world.height} world`);
+        } catch (error) {
+            showMessage(`Could not load scene: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// --- Image Import ---
+
+// An image dropped onto the canvas (or opened with Import Image) is scaled to fit the world and
+// each of its pixels is matched to the material with the closest colors. The Image Import panel
+// lists the matches grouped by material, and each group can be switched to another material
+// before the image replaces the scene. Mostly transparent pixels always become Empty.
+const IMPORT_ALPHA_THRESHOLD = 128; // Pixels less opaque than this become Empty
+
+let pendingImport = null;           // The image waiting in the Image Import panel, see prepareImport()
+let keepImageColors = false;        // When true, imported pixels are drawn in the image's colors
+let colorParserCtx = null;          // 1x1 canvas used by cssColorToRgb()
+
+/**
+ * Reads an image file and opens the Image Import panel for it.
+ * @param {File} file - The image file.
+ */
+function importImageFile(file) {
+    if (!file.type.startsWith('image/')) {
+        showMessage(`${file.name} is not an image`);
+        return;
+    }
+    createImageBitmap(file)
+        .then(prepareImport)
+        .catch((error) => showMessage(`Could not import ${file.name}: ${error.message}`));
+}
+
+/**
+ * Converts a CSS color (e.g. a material's buttonColor) to RGB by letting a canvas parse and draw it.
+ * @param {string} color - Any CSS color.
+ * @returns {number[]} [r, g, b]
+ */
+function cssColorToRgb(color) {
+    if (!colorParserCtx) {
+        const parserCanvas = document.createElement('canvas');
+        parserCanvas.width = 1;
+        parserCanvas.height = 1;
+        colorParserCtx = parserCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    colorParserCtx.clearRect(0, 0, 1, 1);
+    colorParserCtx.fillStyle = color;
+    colorParserCtx.fillRect(0, 0, 1, 1);
+    const [r, g, b] = colorParserCtx.getImageData(0, 0, 1, 1).data;
+    return [r, g, b];
+}
+
+/**
+ * Collects the colors each material can be recognized by: its button color and every color of its palette.
+ * The Eraser isn't a candidate; only transparency becomes Empty.
+ * @returns {{type: number, colors: number[][]}[]} The materials with their [r, g, b] colors.
+ */
+function getImportCandidates() {
+    const candidates = [];
+    for (const key in MATERIALS) {
+        const type = Number(key);
+        if (type === EMPTY) continue;
+        const colors = [cssColorToRgb(MATERIALS[type].buttonColor)];
+        for (const pixel of getMaterialPalette(type)) {
+            colors.push([pixel & 0xFF, (pixel >> 8) & 0xFF, (pixel >> 16) & 0xFF]);
+        }
+        candidates.push({ type, colors });
+    }
+    return candidates;
+}
+
+/**
+ * Finds the material whose colors come closest to a color.
+ * Distances weigh the channels by how sensitive the eye is to them ("redmean" approximation).
+ * @param {number} r - Red channel (0-255).
+ * @param {number} g - Green channel (0-255).
+ * @param {number} b - Blue channel (0-255).
+ * @param {{type: number, colors: number[][]}[]} candidates - From getImportCandidates().
+ * @returns {number} The material type.
+ */
+function findNearestMaterial(r, g, b, candidates) {
+    let nearest = EMPTY;
+    let nearestDistance = Infinity;
+    for (const { type, colors } of candidates) {
+        for (const [cr, cg, cb] of colors) {
+            const mean = (r + cr) / 2;
+            const dr = r - cr;
+            const dg = g - cg;
+            const db = b - cb;
+            const distance = (2 + mean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - mean) / 256) * db * db;
+            if (distance < nearestDistance) {
+                nearest = type;
+                nearestDistance = distance;
+            }
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Scales an image to fit the world, matches its pixels to materials and opens the Image Import panel.
+ * The image rests centered on the floor; enlarged images aren't smoothed, so pixel art stays sharp.
+ * @param {ImageBitmap} image - The decoded image.
+ */
+function prepareImport(image) {
+    const scale = Math.min(world.width / image.width, world.height / image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const resampleCanvas = document.createElement('canvas');
+    resampleCanvas.width = world.width;
+    resampleCanvas.height = world.height;
+    const resampleCtx = resampleCanvas.getContext('2d', { willReadFrequently: true });
+    resampleCtx.imageSmoothingEnabled = scale < 1;
+    resampleCtx.drawImage(image, Math.floor((world.width - width) / 2), world.height - height, width, height);
+    const pixels = resampleCtx.getImageData(0, 0, world.width, world.height).data;
+
+    const candidates = getImportCandidates();
+    const nearestTypes = new Uint8Array(world.width * world.height);
+    const matchCache = new Map(); // Color reduced to 5 bits per channel -> nearest material
+    const groups = new Map();     // Nearest material -> { count, r, g, b } summed over its pixels
+    for (let i = 0, p = 0; i < nearestTypes.length; i++, p += 4) {
+        if (pixels[p + 3] < IMPORT_ALPHA_THRESHOLD) {
+            nearestTypes[i] = EMPTY;
+            continue;
+        }
+        const key = ((pixels[p] >> 3) << 10) | ((pixels[p + 1] >> 3) << 5) | (pixels[p + 2] >> 3);
+        let type = matchCache.get(key);
+        if (type === undefined) {
+            type = findNearestMaterial(pixels[p], pixels[p + 1], pixels[p + 2], candidates);
+            matchCache.set(key, type);
+        }
+        nearestTypes[i] = type;
+
+        let group = groups.get(type);
+        if (!group) {
+            group = { count: 0, r: 0, g: 0, b: 0 };
+            groups.set(type, group);
+        }
+        group.count++;
+        group.r += pixels[p];
+        group.g += pixels[p + 1];
+        group.b += pixels[p + 2];
+    }
+
+    const mapping = new Map(); // Nearest material -> material the user picked for it
+    for (const type of groups.keys()) mapping.set(type, type);
+    pendingImport = { pixels, nearestTypes, groups, mapping };
+    showImportPanel();
+}
+
+/**
+ * Fills the Image Import panel with one row per matched material, largest group first:
+ * the average color of its pixels and a menu to pick the material they become.
+ */
+function showImportPanel() {
+    const list = document.getElementById('importMapping');
+    list.innerHTML = '';
+    const groups = [...pendingImport.groups].sort((a, b) => b[1].count - a[1].count);
+    for (const [type, group] of groups) {
+        const row = document.createElement('div');
+        row.className = 'import-row';
+
+        const swatch = document.createElement('div');
+        swatch.className = 'import-swatch';
+        swatch.style.backgroundColor =
+            `rgb(${Math.round(group.r / group.count)}, ${Math.round(group.g / group.count)}, ${Math.round(group.b / group.count)})`;
+        swatch.title = `${group.count} pixels`;
+
+        const select = document.createElement('select');
+        for (const key in MATERIALS) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = MATERIALS[key].name;
+            select.appendChild(option);
+        }
+        select.value = type;
+        select.addEventListener('change', () => {
+            pendingImport.mapping.set(type, Number(select.value));
+        });
+
+        row.appendChild(swatch);
+        row.appendChild(select);
+        list.appendChild(row);
+    }
+
+    const section = document.getElementById('importSection');
+    section.hidden = false;
+    section.querySelector('.section-header').classList.remove('collapsed');
+    section.querySelector('.section-content').classList.remove('collapsed');
+    showMessage('Pick the materials for the image, then Apply');
+}
+
+/**
+ * Hides the Image Import panel and forgets the image waiting in it.
+ */
+function closeImportPanel() {
+    pendingImport = null;
+    document.getElementById('importSection').hidden = true;
+}
+
+/**
+ * Replaces the scene with the image waiting in the Image Import panel, as one undo step.
+ */
+function applyImport() {
+    if (!pendingImport) return;
+    const { pixels, nearestTypes, mapping } = pendingImport;
+    closeImportPanel();
+    if (nearestTypes.length !== world.width * world.height) {
+        showMessage('The world was resized; import the image again');
+        return;
+    }
+
+    stopRecording('Recording stopped: an image was imported');
+    stopReplay();
+    beginStroke();
+    for (let i = 0; i < nearestTypes.length; i++) {
+        const x = i % world.width;
+        const y = (i / world.width) | 0;
+        const type = (nearestTypes[i] === EMPTY) ? EMPTY : mapping.get(nearestTypes[i]);
+        paintPixel(x, y, type);
+        if (keepImageColors && type !== EMPTY) {
+            world.setColor(x, y, rgbToPixel(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]));
+        }
+    }
+    endStroke();
+    drawGrid();
+    showMessage('Image Imported!');
+}
+
+// --- Autosave ---
+
+const AUTOSAVE_KEY = 'sandGame.autosave'; // localStorage key holding the last autosaved scene
+const AUTOSAVE_INTERVAL = 5000;           // Milliseconds between autosaves
+const AUTOSAVE_MAX_SEEDED_CELLS = 512 * 512; // Larger worlds are autosaved without their colors to fit in localStorage
+
+let autosaveStopped = false; // Set once storage has refused an autosave, so it isn't retried every interval
+
+/**
+ * Saves the current scene to localStorage so it survives a reload.
+ * If it doesn't fit, the previous autosave is removed so a reload doesn't bring back an older scene,
+ * and autosaving stops for the rest of the visit.
+ */
+function autosaveScene() {
+    if (autosaveStopped) return;
+    try {
+        const includeSeeds = world.width * world.height <= AUTOSAVE_MAX_SEEDED_CELLS;
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(world.serialize(includeSeeds)));
+    } catch (error) {
+        // Storage can be full or disabled (e.g. private browsing); the game keeps running without it
+        autosaveStopped = true;
+        showMessage('Autosave stopped: the browser has no room to store this scene');
+        try {
+            localStorage.removeItem(AUTOSAVE_KEY);
+        } catch (removeError) {
+            // Storage is disabled, so there's no stale autosave either
+        }
+    }
+}
+
+/**
+ * Restores the autosaved scene, if there is one, in a world of the size it was saved at.
+ * A corrupt or outdated autosave is discarded.
+ */
+function restoreAutosave() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(AUTOSAVE_KEY);
+    } catch (error) {
+        return; // Storage is disabled
+    }
+    if (!saved) return;
+
+    try {
+        setWorld(createSceneWorld(parseScene(JSON.parse(saved))));
+    } catch (error) {
+        localStorage.removeItem(AUTOSAVE_KEY);
+        showMessage(`Discarded the autosaved scene: ${error.message}`);
+    }
+}
+
+// --- Recording and Replay ---
+
+// A recording holds the scene at the moment it started, the seed of the world's random number
+// generator and every input made after that (pen down/move/up, undo, redo, Clear All), each
+// stamped with the frame it came in before. The simulation draws all of its randomness from the
+// seed, so feeding the same inputs in at the same frames plays the run out again exactly.
+const RECORDING_FORMAT = 'sand-game-recording'; // Identifies recording files written by this game
+const RECORDING_VERSION = 1;                    // Bump when the recording layout changes
+const INPUT_TYPES = ['down', 'move', 'up', 'undo', 'redo', 'clear'];
+const MAX_INPUT_COORDINATE = 65536; // Pen positions past this, even far off the world, can't come from a real recording
+
+// Tool settings a recording may switch to, matching the sidebar controls
+const DRAW_TOOLS = ['brush', 'line', 'rect', 'filledRect', 'circle', 'fill'];
+const BRUSH_MODES = ['material', 'heat', 'cool'];
+const BRUSH_SHAPES = ['square', 'round'];
+const MAX_BRUSH_SIZE = 10;
+
+let recording = null;       // The recording being made, or the last one made or opened
+let isRecording = false;    // When true, inputs are added to the recording
+let replay = null;          // { recording, nextInput } while a recording is being played back
+
+/**
+ * @returns {{tool: string, material: number, mode: string, size: number, shape: string, spray: boolean}}
+ *     The drawing tool settings, stored with every pen down so a replay draws with the same tool.
+ */
+function getToolSettings() {
+    return { tool: drawTool, material: currentMaterial, mode: brushMode, size: brushSize, shape: brushShape, spray: sprayMode };
+}
+
+/**
+ * Switches to recorded drawing tool settings and shows them in the sidebar.
+ * @param {Object} settings - From getToolSettings().
+ */
+function setToolSettings(settings) {
+    drawTool = settings.tool;
+    currentMaterial = settings.material;
+    brushMode = settings.mode;
+    brushSize = settings.size;
+    brushShape = settings.shape;
+    sprayMode = settings.spray;
+
+    document.getElementById('drawTool').value = drawTool;
+    document.getElementById('brushShape').value = brushShape;
+    document.getElementById('sprayMode').checked = sprayMode;
+    brushSizeSlider.value = brushSize;
+    brushSizeValueSpan.textContent = brushSize;
+    if (brushMode !== 'material') {
+        updateSelectedButton(`${brushMode}Btn`); // Heat or Cool
+    } else if (currentMaterial === EMPTY) {
+        updateSelectedButton('emptyBtn');
+    } else {
+        updateSelectedButton(`${MATERIALS[currentMaterial].name.replace(/\s/g, '')}Btn`);
+    }
+}
+
+/**
+ * Carries out an input from the user, adding it to the recording if one is being made.
+ * Any input ends a replay, since the rest of the recording wouldn't fit the scene anymore.
+ * @param {string} type - One of INPUT_TYPES.
+ * @param {...*} args - Grid coordinates for 'down' and 'move', followed by the tool settings for 'down'.
+ */
+function handleInput(type, ...args) {
+    stopReplay('Replay stopped');
+    if (isRecording) {
+        recording.inputs.push([world.frameCount, type, ...args]);
+    }
+    applyInput(type, args);
+}
+
+/**
+ * Carries out an input, whether it comes from the user or from a replay.
+ * @param {string} type - One of INPUT_TYPES.
+ * @param {Array} args - The input's arguments (see handleInput()).
+ */
+function applyInput(type, args) {
+    if (type === 'down') {
+        setToolSettings(args[2]);
+        penDown(args[0], args[1]);
+    } else if (type === 'move') {
+        penMove(args[0], args[1]);
+    } else if (type === 'up') {
+        penUp();
+    } else if (type === 'undo') {
+        undo();
+    } else if (type === 'redo') {
+        redo();
+    } else if (type === 'clear') {
+        clearAll();
+    }
+}
+
+/**
+ * Puts the world into the state a recording starts from: the scene, frame 0 and the given seed.
+ * The undo history is dropped so that every undo in the recording refers to a stroke inside it.
+ * @param {Object} scene - From parseScene().
+ * @param {number} seed - Seed for the world's random number generator.
  */
-function showMessage(message, duration = 3000) {
-    const messageBox = document.getElementById('messageBox');
-    messageBox.textContent = message;
-    messageBox.classList.add('show');
-    setTimeout(() => {
-        messageBox.classList.remove('show');
-    }, duration);
+function restartWorld(scene, seed) {
+    world.load(scene, 'center');
+    world.frameCount = 0;
+    world.seedRandom(seed);
+    clearHistory();
+    isDrawing = false;
+    lastX = -1;
+    lastY = -1;
 }
 
 /**
- * Generates a random integer within a specified range (inclusive).
- * @param {number} min - The minimum value.
- * @param {number} max - The maximum value.
- * @returns {number} A random integer.
+ * Starts recording from the current scene.
+ * The world restarts from the scene as it would be saved: moving pixels come to rest and
+ * temperatures go back to their materials' base temperatures, exactly as a replay will start.
  */
-function getRandomInt(min, max) {
-    min = Math.ceil(min);
-    max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function startRecording() {
+    stopReplay();
+    const scene = world.serialize(true);
+    const seed = createRandomSeed();
+    restartWorld(parseScene(scene), seed);
+    recording = { format: RECORDING_FORMAT, version: RECORDING_VERSION, seed, frames: 0, scene, inputs: [] };
+    isRecording = true;
+    updateRecordingButtons();
+    showMessage('Recording...');
 }
 
 /**
- * Generates an HSL color string from hue, saturation, and lightness ranges.
- * @param {number[]} hueRange - [minHue, maxHue]
- * @param {number[]} satRange - [minSaturation, maxSaturation]
- * @param {number[]} ligRange - [minLightness, maxLightness]
- * @returns {string} An HSL color string (e.g., "hsl(120, 50%, 70%)").
+ * Finishes the recording being made, if any.
+ * @param {string} [reason] - Shown instead of the usual message, e.g. when the scene was replaced.
  */
-function generateHSLColor(hueRange, satRange, ligRange) {
-    const h = getRandomInt(hueRange[0], hueRange[1]);
-    const s = getRandomInt(satRange[0], satRange[1]);
-    const l = getRandomInt(ligRange[0], ligRange[1]);
-    return `hsl(${h}, ${s}%, ${l}%)`;
+function stopRecording(reason) {
+    if (!isRecording) return;
+    isRecording = false;
+    recording.frames = world.frameCount;
+    updateRecordingButtons();
+    showMessage(reason || `Recorded ${recording.frames} frames`);
 }
 
-// --- Canvas and Game Setup ---
-
-const canvas = document.getElementById('gameCanvas');
-const ctx = canvas.getContext('2d');
+/**
+ * Plays a recording back from its first frame.
+ * The world is resized to the recorded size if needed, so the recorded coordinates line up.
+ * @param {Object} playback - The recording, from startRecording() or parseRecording().
+ */
+function startReplay(playback) {
+    stopRecording();
+    stopReplay();
+    const scene = parseScene(playback.scene);
+    if (scene.width !== world.width || scene.height !== world.height) {
+        setWorld(new World(scene.width, scene.height));
+    }
+    restartWorld(scene, playback.seed);
+    replay = { recording: playback, nextInput: 0 };
+    setPaused(false);
+    updateRecordingButtons();
+    showMessage(`Replaying ${playback.frames} frames`);
+}
 
-// Define the size of each "pixel" in our simulation grid
-const PIXEL_SIZE = 4;
-let GRID_WIDTH;  // Will be calculated based on canvas width
-let GRID_HEIGHT; // Will be calculated based on canvas height
-
-// Define material types using numerical constants for efficiency
-// Assign unique, sequential IDs starting from 0
-const EMPTY = 0;
-const SAND = 1;
-const STONE = 2;
-const METAL = 3;
-const GLASS = 4;
-const SALT = 5;
-const CORN_STARCH = 6;
-const WATER = 7;
-const OIL = 8;
-const LAVA = 9;
-const SLIME = 10;
-const ACID = 11;
-const STEAM = 12;
-const HELIUM = 13;
-const SMOKE = 14;
-const CLOUD = 15;
-const FIRE = 16;
-const EXPLOSIVE = 17;
-const ICE = 18;
-const SNOW = 19;
-const BOUNCY = 20;
-const ELECTRICITY = 21;
-const MAGNET = 22;
-const ANTIMATTER = 23;
-const SAND_CLONE = 24;
-const PLANT = 25;
-
-// Define material properties including color ranges, weight, stickiness, solid, selfSticky
-const MATERIALS = {
-    [EMPTY]: {
-        name: "Eraser",
-        hueRange: [0, 0], satRange: [0, 0], ligRange: [6, 7], // Matches canvas background #0d1117
-        solid: false, weight: 0, stickiness: 0,
-        buttonColor: '#e2e8f0', buttonTextColor: '#2d3748',
-        category: 'tools'
-    },
-    // Solids
-    [STONE]: {
-        name: "Stone",
-        hueRange: [215, 248], satRange: [8, 31], ligRange: [45, 55],
-        solid: true, weight: Infinity, stickiness: Infinity,
-        buttonColor: 'hsl(230, 20%, 50%)', buttonTextColor: '#e2e8f0',
-        category: 'solids'
-    },
-    [METAL]: {
-        name: "Metal",
-        hueRange: [200, 210], satRange: [5, 15], ligRange: [30, 40],
-        solid: true, weight: Infinity, stickiness: Infinity,
-        buttonColor: 'hsl(205, 10%, 35%)', buttonTextColor: '#e2e8f0',
-        category: 'solids'
-    },
-    [GLASS]: {
-        name: "Glass",
-        hueRange: [180, 200], satRange: [5, 10], ligRange: [70, 80],
-        solid: true, weight: Infinity, stickiness: Infinity,
-        buttonColor: 'hsl(190, 7%, 75%)', buttonTextColor: '#2d3748',
-        category: 'solids'
-    },
-    // Powders
-    [SAND]: {
-        name: "Sand",
-        hueRange: [38, 38], satRange: [66, 88], ligRange: [60, 70],
-        solid: false, weight: 1, stickiness: 0.5,
-        buttonColor: '#f6ad55', buttonTextColor: '#2d3748',
-        category: 'powders'
-    },
-    [SALT]: {
-        name: "Salt",
-        hueRange: [0, 0], satRange: [0, 5], ligRange: [90, 95],
-        solid: false, weight: 0.9, stickiness: 0.4, // Slightly lighter/less sticky than sand
-        buttonColor: 'hsl(0, 2%, 92%)', buttonTextColor: '#2d3748',
-        category: 'powders'
-    },
-    [CORN_STARCH]: {
-        name: "Corn Starch",
-        hueRange: [38, 47], satRange: [60, 88], ligRange: [79, 80],
-        solid: false, weight: 1, stickiness: 0.8, // More sticky than sand
-        buttonColor: 'hsl(40, 70%, 79%)', buttonTextColor: '#2d3748',
-        category: 'powders'
-    },
-    [SAWDUST]: {
-        name: "Sawdust",
-        hueRange: [20, 30], satRange: [30, 40], ligRange: [50, 60],
-        solid: false, weight: 0.8, stickiness: 0.6, // Lighter than sand, slightly stickier
-        buttonColor: 'hsl(25, 35%, 55%)', buttonTextColor: '#e2e8f0',
-        category: 'powders'
-    },
-    // Liquids
-    [WATER]: {
-        name: "Water",
-        hueRange: [200, 220], satRange: [70, 90], ligRange: [50, 60],
-        solid: false, weight: 0.7, stickiness: 0, // Very fluid
-        buttonColor: 'hsl(210, 80%, 55%)', buttonTextColor: '#e2e8f0',
-        category: 'liquids'
-    },
-    [OIL]: {
-        name: "Oil",
-        hueRange: [40, 60], satRange: [80, 90], ligRange: [20, 30],
-        solid: false, weight: 0.6, stickiness: 0.1, // Slightly less dense than water, still fluid
-        buttonColor: 'hsl(50, 85%, 25%)', buttonTextColor: '#e2e8f0',
-        category: 'liquids'
-    },
-    [LAVA]: {
-        name: "Lava",
-        hueRange: [0, 30], satRange: [90, 100], ligRange: [40, 60],
-        solid: false, weight: 1.5, stickiness: 0.3, // Heavy, flows
-        buttonColor: 'hsl(15, 95%, 50%)', buttonTextColor: '#e2e8f0',
-        category: 'liquids'
-    },
-    [SLIME]: {
-        name: "Slime",
-        hueRange: [100, 120], satRange: [70, 90], ligRange: [50, 60],
-        solid: false, weight: 0.9, stickiness: 0.7, // Sticky liquid
-        buttonColor: 'hsl(110, 80%, 55%)', buttonTextColor: '#2d3748',
-        category: 'liquids'
-    },
-    [ACID]: {
-        name: "Acid",
-        hueRange: [70, 90], satRange: [80, 95], ligRange: [40, 50],
-        solid: false, weight: 0.7, stickiness: 0, // Fluid, corrosive (no reaction logic)
-        buttonColor: 'hsl(80, 85%, 45%)', buttonTextColor: '#2d3748',
-        category: 'liquids'
-    },
-    [GLUE]: {
-        name: "Glue",
-        hueRange: [20, 39], satRange: [20, 28], ligRange: [80, 90],
-        solid: false, weight: 0.5, stickiness: 0.9, // Lighter, very sticky (for diagonal flow)
-        selfSticky: true, // New property for sticking to itself in the air
-        buttonColor: 'hsl(30, 24%, 85%)', buttonTextColor: '#2d3748',
-        category: 'liquids'
-    },
-    // Gases
-    [STEAM]: {
-        name: "Steam",
-        hueRange: [200, 220], satRange: [5, 15], ligRange: [80, 90],
-        solid: false, weight: -0.1, stickiness: 0, // Floats upwards
-        buttonColor: 'hsl(210, 10%, 85%)', buttonTextColor: '#2d3748',
-        category: 'gases'
-    },
-    [HELIUM]: {
-        name: "Helium",
-        hueRange: [20, 40], satRange: [5, 10], ligRange: [90, 95],
-        solid: false, weight: -0.5, stickiness: 0, // Floats rapidly upwards
-        buttonColor: 'hsl(30, 7%, 92%)', buttonTextColor: '#2d3748',
-        category: 'gases'
-    },
-    [SMOKE]: {
-        name: "Smoke",
-        hueRange: [0, 0], satRange: [0, 10], ligRange: [20, 30],
-        solid: false, weight: -0.05, stickiness: 0, // Drifts upwards slowly
-        buttonColor: 'hsl(0, 5%, 25%)', buttonTextColor: '#e2e8f0',
-        category: 'gases'
-    },
-    [CLOUD]: {
-        name: "Cloud",
-        hueRange: [0, 0], satRange: [0, 5], ligRange: [85, 95],
-        solid: false, weight: -0.02, stickiness: 0, // Drifts very slowly upwards
-        buttonColor: 'hsl(0, 2%, 90%)', buttonTextColor: '#2d3748',
-        category: 'gases'
-    },
-    // Misc
-    [FIRE]: {
-        name: "Fire",
-        hueRange: [0, 60], satRange: [90, 100], ligRange: [50, 70],
-        solid: false, weight: -0.2, stickiness: 0, // Floats upwards, consumes (no consumption logic)
-        buttonColor: 'hsl(30, 95%, 60%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-    [EXPLOSIVE]: {
-        name: "Explosive",
-        hueRange: [0, 10], satRange: [50, 70], ligRange: [20, 30],
-        solid: true, weight: Infinity, stickiness: Infinity, // Solid, but could explode (no explosion logic)
-        buttonColor: 'hsl(5, 60%, 25%)', buttonTextColor: '#e2e8f0',
-        category: 'misc'
-    },
-    [ICE]: {
-        name: "Ice",
-        hueRange: [200, 220], satRange: [10, 20], ligRange: [75, 85],
-        solid: true, weight: Infinity, stickiness: Infinity, // Solid, melts into water (no melting logic)
-        buttonColor: 'hsl(210, 15%, 80%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-    [SNOW]: {
-        name: "Snow",
-        hueRange: [0, 0], satRange: [0, 5], ligRange: [95, 100],
-        solid: false, weight: 0.3, stickiness: 0.7, // Powder, melts (no melting logic)
-        buttonColor: 'hsl(0, 2%, 97%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-    [BOUNCY]: {
-        name: "Bouncy",
-        hueRange: [120, 140], satRange: [80, 90], ligRange: [50, 60],
-        solid: true, weight: Infinity, stickiness: Infinity, // Solid, makes things bounce (no bounce logic)
-        buttonColor: 'hsl(130, 85%, 55%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-    [ELECTRICITY]: {
-        name: "Electricity",
-        hueRange: [40, 60], satRange: [90, 100], ligRange: [70, 80],
-        solid: false, weight: 0, stickiness: 0, // Instantaneous effect (no electrical logic)
-        buttonColor: 'hsl(50, 95%, 75%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-    [MAGNET]: {
-        name: "Magnet",
-        hueRange: [240, 260], satRange: [10, 20], ligRange: [20, 30],
-        solid: true, weight: Infinity, stickiness: Infinity, // Solid, attracts metal (no magnetic logic)
-        buttonColor: 'hsl(250, 15%, 25%)', buttonTextColor: '#e2e8f0',
-        category: 'misc'
-    },
-    [ANTIMATTER]: {
-        name: "Antimatter",
-        hueRange: [300, 320], satRange: [90, 100], ligRange: [50, 60],
-        solid: false, weight: 0.1, stickiness: 0, // Reacts with everything (no reaction logic)
-        buttonColor: 'hsl(310, 95%, 55%)', buttonTextColor: '#e2e8f0',
-        category: 'misc'
-    },
-    [SAND_CLONE]: {
-        name: "Sand Clone",
-        hueRange: [38, 38], satRange: [66, 88], ligRange: [60, 70], // Same as sand
-        solid: false, weight: 1, stickiness: 0.5,
-        buttonColor: '#f6ad55', buttonTextColor: '#2d3748',
-        category: 'misc' // Could be used for a "copy" tool
-    },
-    [PLANT]: {
-        name: "Plant",
-        hueRange: [90, 110], satRange: [40, 60], ligRange: [30, 40],
-        solid: true, weight: Infinity, stickiness: Infinity, // Solid, grows (no growth logic)
-        buttonColor: 'hsl(100, 50%, 35%)', buttonTextColor: '#e2e8f0',
-        category: 'misc'
-    },
-    [UNICORN_FLESH]: {
-        name: "Unicorn Flesh",
-        hueRange: [330, 350], satRange: [80, 88], ligRange: [68, 80],
-        solid: false, weight: 1, stickiness: 0.2, // More fluid
-        buttonColor: 'hsl(340, 84%, 74%)', buttonTextColor: '#2d3748',
-        category: 'misc'
-    },
-};
+/**
+ * Ends the replay, if one is running.
+ * @param {string} [message] - Shown if a replay was actually stopped.
+ */
+function stopReplay(message) {
+    if (!replay) return;
+    replay = null;
+    if (isDrawing) {
+        // Drop the pen the recording was drawing with
+        isDrawing = false;
+        endStroke();
+    }
+    updateRecordingButtons();
+    if (message) showMessage(message);
+}
 
+/**
+ * Feeds the recorded inputs due before the next frame into the game.
+ * After the last recorded frame the replay ends and the game pauses, so the result can be
+ * compared with the original run.
+ */
+function advanceReplay() {
+    const { inputs, frames } = replay.recording;
+    while (replay.nextInput < inputs.length && inputs[replay.nextInput][0] <= world.frameCount) {
+        const [, type, ...args] = inputs[replay.nextInput++];
+        applyInput(type, args);
+    }
+    if (world.frameCount >= frames) {
+        stopReplay('Replay finished');
+        setPaused(true);
+    }
+}
 
-let grid = []; // The 2D array representing our game world
-let currentMaterial = SAND; // Default material to draw with
-let isDrawing = false;      // Flag to track if the user is currently drawing
-let lastX = -1, lastY = -1; // Stores the last drawn grid coordinates for line drawing
-let brushSize = 1;          // Initial brush size
+/**
+ * Shows whether a recording or replay is running on their buttons.
+ */
+function updateRecordingButtons() {
+    const recordBtn = document.getElementById('recordBtn');
+    recordBtn.textContent = isRecording ? 'Stop Recording' : 'Record';
+    recordBtn.classList.toggle('recording', isRecording);
+    document.getElementById('replayBtn').textContent = replay ? 'Stop Replay' : 'Replay';
+}
 
-let frameCount = 0; // Used to alternate horizontal iteration direction for physics simulation
+/**
+ * Saves the last recording as a downloadable JSON file, finishing it first if it's still running.
+ */
+function exportRecording() {
+    if (!recording) {
+        showMessage('Nothing recorded yet');
+        return;
+    }
+    stopRecording();
+    downloadFile(new Blob([JSON.stringify(recording)], { type: 'application/json' }), 'recording.sand-rec.json');
+    showMessage('Recording Exported!');
+}
 
 /**
- * Resizes the canvas to fit the window and reinitializes the grid if dimensions change.
+ * Validates a recording read from a file.
+ * @param {Object} data - The parsed JSON.
+ * @returns {Object} The recording, ready for startReplay().
+ * @throws {Error} If it has the wrong format or version, or contains an invalid scene or input.
  */
-function resizeCanvas() {
-    // Calculate max dimensions for the canvas, leaving space for the sidebar
-    const gameContainer = document.querySelector('.game-container');
-    const sidebarWidth = 250; // Fixed sidebar width from CSS
+function parseRecording(data) {
+    if (!data || data.format !== RECORDING_FORMAT) {
+        throw new Error('Not a Sand Game recording');
+    }
+    if (data.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${data.version} (expected ${RECORDING_VERSION})`);
+    }
+    if (!Number.isInteger(data.seed) || !Number.isInteger(data.frames) || data.frames < 0) {
+        throw new Error('Recording has an invalid seed or length');
+    }
+    const scene = parseScene(data.scene); // Throws if the starting scene can't be read
+    checkWorldSize(scene.width, scene.height);
+    if (!Array.isArray(data.inputs)) {
+        throw new Error('Recording has no inputs');
+    }
 
-    // Determine canvas dimensions based on available space and pixel size
-    let canvasWidth = Math.floor((window.innerWidth * 0.9 - sidebarWidth) / PIXEL_SIZE) * PIXEL_SIZE;
-    let canvasHeight = Math.floor((window.innerHeight * 0.9) / PIXEL_SIZE) * PIXEL_SIZE;
+    let previousFrame = 0;
+    data.inputs.forEach((input, k) => {
+        const valid = Array.isArray(input) && Number.isInteger(input[0]) &&
+            input[0] >= previousFrame && input[0] <= data.frames && INPUT_TYPES.includes(input[1]);
+        if (!valid) {
+            throw new Error(`Invalid input ${k} in recording`);
+        }
+        if (input[1] === 'down' || input[1] === 'move') {
+            const isCoordinate = (value) => Number.isInteger(value) && Math.abs(value) <= MAX_INPUT_COORDINATE;
+            if (!isCoordinate(input[2]) || !isCoordinate(input[3])) {
+                throw new Error(`Invalid coordinates in input ${k}`);
+            }
+        }
+        if (input[1] === 'down') {
+            const settings = input[4];
+            if (!settings || !MATERIALS[settings.material]) {
+                throw new Error(`Unknown material in input ${k}`);
+            }
+            const validSettings = DRAW_TOOLS.includes(settings.tool) && BRUSH_MODES.includes(settings.mode) &&
+                BRUSH_SHAPES.includes(settings.shape) && typeof settings.spray === 'boolean' &&
+                Number.isInteger(settings.size) && settings.size >= 1 && settings.size <= MAX_BRUSH_SIZE;
+            if (!validSettings) {
+                throw new Error(`Invalid tool settings in input ${k}`);
+            }
+        }
+        previousFrame = input[0];
+    });
+    return data;
+}
 
-    // Ensure minimum canvas size
-    if (canvasWidth < PIXEL_SIZE * 50) canvasWidth = PIXEL_SIZE * 50;
-    if (canvasHeight < PIXEL_SIZE * 50) canvasHeight = PIXEL_SIZE * 50;
+/**
+ * Opens a recording file chosen by the user and replays it.
+ * @param {File} file - The recording file.
+ */
+function openRecordingFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const opened = parseRecording(JSON.parse(reader.result));
+            stopRecording();
+            recording = opened; // The Replay button plays it again
+            startReplay(recording);
+        } catch (error) {
+            showMessage(`Could not open recording: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
 
-    canvas.width = canvasWidth;
-    canvas.height = canvasHeight;
+// --- Snapshots and Video ---
 
-    // Update grid dimensions
-    GRID_WIDTH = canvas.width / PIXEL_SIZE;
-    GRID_HEIGHT = canvas.height / PIXEL_SIZE;
+// Snapshots and videos show the whole world, overlays included, at captureScale pixels per cell,
+// wherever the camera happens to be. Videos grab a frame from the game loop whenever one is due
+// and are encoded in the browser: WebM through MediaRecorder, GIF with GifEncoder.
+const MAX_VIDEO_SECONDS = 60;       // Upper bound for the video length limit
+const MAX_GIF_PIXELS = 1000000;     // Larger GIF frames take too long to encode while the game runs
 
-    // Reinitialize grid if it's the first time or if canvas dimensions have changed
-    if (grid.length === 0 || grid.length !== GRID_HEIGHT || grid[0].length !== GRID_WIDTH) {
-        initGrid();
-    }
-    drawGrid(); // Redraw the grid after resizing
-}
+let captureScale = 2;               // Pixels per cell in snapshots and videos
+let videoFormat = 'webm';           // 'webm' or 'gif'
+let videoFps = 15;                  // Frames per second captured into videos
+let videoMaxSeconds = 10;           // Videos stop by themselves after this long
+let video = null;                   // The video being captured, see startVideo()
 
 /**
- * Initializes the grid with all EMPTY pixels.
- * Each pixel will store its material type and a dynamically generated color.
+ * Draws the whole world into another canvas at captureScale pixels per cell, keeping hard pixel edges.
+ * @param {HTMLCanvasElement} [target] - Canvas to draw into (resized to fit); a new one if omitted.
+ * @returns {HTMLCanvasElement} The scaled picture.
  */
-function initGrid() {
-    grid = Array(GRID_HEIGHT).fill(0).map(() => Array(GRID_WIDTH).fill(0).map(() => ({
-        type: EMPTY,
-        // Use the exact canvas background color for empty pixels for seamless clearing
-        color: '#0d1117'
-    })));
+function drawScaledCanvas(target = document.createElement('canvas')) {
+    const width = world.width * captureScale;
+    const height = world.height * captureScale;
+    if (target.width !== width || target.height !== height) {
+        target.width = width;
+        target.height = height;
+    }
+    const targetCtx = target.getContext('2d');
+    targetCtx.imageSmoothingEnabled = false;
+    targetCtx.setTransform(captureScale, 0, 0, captureScale, 0, 0);
+    targetCtx.drawImage(gridCanvas, 0, 0);
+    drawOverlays(targetCtx, captureScale);
+    targetCtx.setTransform(1, 0, 0, 1, 0, 0);
+    return target;
 }
 
 /**
- * Draws the current state of the grid onto the canvas.
+ * Saves a picture of the whole world as a downloadable PNG.
  */
-function drawGrid() {
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-        for (let x = 0; x < GRID_WIDTH; x++) {
-            // Use the stored color for each pixel
-            ctx.fillStyle = grid[y][x].color;
-            ctx.fillRect(x * PIXEL_SIZE, y * PIXEL_SIZE, PIXEL_SIZE, PIXEL_SIZE); // Draw the pixel
+function saveSnapshot() {
+    drawScaledCanvas().toBlob((blob) => {
+        if (!blob) {
+            // The browser couldn't make an image that large
+            showMessage('Snapshot too large: pick a smaller capture scale');
+            return;
         }
-    }
+        downloadFile(blob, 'sand-snapshot.png');
+        showMessage('Snapshot Saved!');
+    }, 'image/png');
 }
 
 /**
- * Sets the material of a specific pixel in the grid.
- * Ensures coordinates are within bounds.
- * Dynamically generates a color for the pixel based on the material's HSL ranges.
- * @param {number} gx - Grid X coordinate.
- * @param {number} gy - Grid Y coordinate.
- * @param {number} materialType - The material type (EMPTY, SAND, SOLID, etc.).
- */
-function setPixel(gx, gy, materialType) {
-    if (gx >= 0 && gx < GRID_WIDTH && gy >= 0 && gy < GRID_HEIGHT) {
-        const materialProps = MATERIALS[materialType];
-        let pixelColor;
-
-        if (materialProps.hueRange) {
-            // Generate a random color from the material's spectrum
-            pixelColor = generateHSLColor(
-                materialProps.hueRange,
-                materialProps.satRange,
-                materialProps.ligRange
-            );
-        } else {
-            // For materials without hueRange (like EMPTY), use their fixed 'color' property
-            pixelColor = materialProps.color;
-        }
+ * Starts capturing a video in the selected format, frame rate and length limit.
+ */
+function startVideo() {
+    const width = world.width * captureScale;
+    const height = world.height * captureScale;
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.getContext('2d', { willReadFrequently: videoFormat === 'gif' }); // GIF frames are read back
+    video = {
+        format: videoFormat,
+        fps: videoFps,
+        canvas: frameCanvas,
+        frames: 0,                              // Frames captured so far
+        maxFrames: videoFps * videoMaxSeconds,
+        nextCapture: null                       // Timestamp the next frame is due at
+    };
 
-        grid[gy][gx] = {
-            type: materialType,
-            color: pixelColor
+    if (videoFormat === 'gif') {
+        if (width * height > MAX_GIF_PIXELS) {
+            video = null;
+            showMessage('Too large for a GIF: pick a smaller capture scale or WebM');
+            return;
+        }
+        video.gif = new GifEncoder(width, height);
+    } else {
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported('video/webm')) {
+            video = null;
+            showMessage('This browser can\'t record WebM; try GIF');
+            return;
+        }
+        drawScaledCanvas(frameCanvas); // Size the canvas before the stream is taken from it
+        const stream = frameCanvas.captureStream(0); // Frames are only sent on requestFrame()
+        const chunks = [];
+        video.track = stream.getVideoTracks()[0];
+        video.recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+        video.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        video.recorder.onstop = () => {
+            downloadFile(new Blob(chunks, { type: 'video/webm' }), 'sand-video.webm');
+            showMessage('Video Saved!');
         };
+        video.recorder.start();
     }
+    updateVideoButton();
+    showMessage(`Recording ${video.format === 'gif' ? 'GIF' : 'video'} (up to ${videoMaxSeconds}s)`);
 }
 
 /**
- * Draws a pixel or a square of pixels based on brushSize.
- * @param {number} gx - Grid X coordinate.
- * @param {number} gy - Grid Y coordinate.
- * @param {number} material - The material to draw.
- * @param {number} size - The brush size.
+ * Finishes the video being captured, if any, and offers it as a download.
  */
-function drawBrush(gx, gy, material, size) {
-    const halfSize = Math.floor(size / 2);
-    for (let yOffset = -halfSize; yOffset <= halfSize; yOffset++) {
-        for (let xOffset = -halfSize; xOffset <= halfSize; xOffset++) {
-            setPixel(gx + xOffset, gy + yOffset, material);
-        }
+function stopVideo() {
+    if (!video) return;
+    const finished = video;
+    video = null;
+    if (finished.format === 'gif') {
+        downloadFile(new Blob([finished.gif.finish()], { type: 'image/gif' }), 'sand-video.gif');
+        showMessage('GIF Saved!');
+    } else {
+        finished.recorder.stop(); // Downloads the video once the last data has arrived
     }
+    updateVideoButton();
 }
 
 /**
- * Implements Bresenham's Line Algorithm to draw a line of pixels.
- * This creates smoother drawing when dragging the mouse/finger.
- * @param {number} x0 - Starting X grid coordinate.
- * @param {number} y0 - Starting Y grid coordinate.
- * @param {number} x1 - Ending X grid coordinate.
- * @param {number} y1 - Ending Y grid coordinate.
- * @param {number} material - The material to draw.
- * @param {number} size - The brush size.
+ * Called by the game loop after every redraw: adds a frame to the video when one is due,
+ * and stops the video once it reaches its length limit.
+ * @param {DOMHighResTimeStamp} timestamp - Frame time passed in by requestAnimationFrame.
  */
-function drawLine(x0, y0, x1, y1, material, size) {
-    const dx = Math.abs(x1 - x0);
-    const dy = Math.abs(y1 - y0);
-    const sx = (x0 < x1) ? 1 : -1;
-    const sy = (y0 < y1) ? 1 : -1;
-    let err = dx - dy; // Error term
-
-    while (true) {
-        drawBrush(x0, y0, material, size); // Draw current pixel with brush size
-        if (x0 === x1 && y0 === y1) break; // End of line
-
-        const e2 = 2 * err;
-        if (e2 > -dy) { err -= dy; x0 += sx; } // Move along X
-        if (e2 < dx) { err += dx; y0 += sy; } // Move along Y
+function updateVideo(timestamp) {
+    if (!video) return;
+    if (video.nextCapture !== null && timestamp < video.nextCapture) return;
+
+    // Keep to the frame rate on average, but don't try to catch up after a stall
+    const interval = 1000 / video.fps;
+    video.nextCapture = Math.max((video.nextCapture === null ? timestamp : video.nextCapture) + interval, timestamp);
+
+    drawScaledCanvas(video.canvas);
+    if (video.gif) {
+        const frame = video.canvas.getContext('2d').getImageData(0, 0, video.canvas.width, video.canvas.height);
+        video.gif.addFrame(frame.data, 100 / video.fps); // GIF delays are in hundredths of a second
+    } else {
+        video.track.requestFrame();
     }
-}
 
-// --- User Interaction (Drawing) ---
+    video.frames++;
+    if (video.frames >= video.maxFrames) stopVideo();
+}
 
 /**
- * Handles the start of drawing (mouse down or touch start).
- * @param {MouseEvent|TouchEvent} event - The event object.
+ * Shows whether a video is being captured on its button.
  */
-function startDrawing(event) {
-    isDrawing = true;
-    const rect = canvas.getBoundingClientRect(); // Get canvas position and size
-    let clientX, clientY;
+function updateVideoButton() {
+    const videoBtn = document.getElementById('videoBtn');
+    videoBtn.textContent = video ? 'Stop Video' : 'Record Video';
+    videoBtn.classList.toggle('recording', video !== null);
+}
 
-    // Differentiate between mouse and touch events
-    if (event.touches) {
-        clientX = event.touches[0].clientX;
-        clientY = event.touches[0].clientY;
-    } else {
-        clientX = event.clientX;
-        clientY = event.clientY;
-    }
+// --- Inspector and Statistics ---
 
-    // Convert screen coordinates to grid coordinates
-    const gx = Math.floor((clientX - rect.left) / PIXEL_SIZE);
-    const gy = Math.floor((clientY - rect.top) / PIXEL_SIZE);
+// The inspector follows the mouse over the canvas and describes the pixel under it.
+// The Stats section measures the game loop and counts every material; the counts are
+// only taken while the section is open, since they visit every cell.
+const STATS_INTERVAL = 500;         // Milliseconds between updates of the Stats section
 
-    drawBrush(gx, gy, currentMaterial, brushSize); // Draw the initial pixel with brush size
-    lastX = gx; // Store for line drawing
-    lastY = gy;
-}
+let showInspector = true;           // When true, hovering the canvas shows what's under the cursor
+let hoverX = -1, hoverY = -1;       // Grid coordinates under the mouse, -1 when it's off the canvas
+let hoverClientX = 0, hoverClientY = 0; // Mouse position in the window, for placing the inspector
+let statsStart = null;              // Timestamp the current stats interval started at
+let statsFrames = 0;                // Animation frames drawn during the interval
+let statsTicks = 0;                 // Physics ticks run during the interval
+let physicsTime = 0;                // Milliseconds spent in world.step() during the interval
+let renderTime = 0;                 // Milliseconds spent in drawGrid() during the interval
+let previousCounts = null;          // Material counts at the last update, to show how they changed
 
 /**
- * Handles drawing while the mouse/touch is moving.
- * @param {MouseEvent|TouchEvent} event - The event object.
+ * Remembers which cell the mouse is over.
+ * @param {MouseEvent} event - The event object.
  */
-function draw(event) {
-    if (!isDrawing) return; // Only draw if drawing is active
-    event.preventDefault(); // Prevent default browser actions (like scrolling on touch)
+function trackHover(event) {
+    const { gx, gy } = getGridCoordinates(event);
+    hoverX = gx;
+    hoverY = gy;
+    hoverClientX = event.clientX;
+    hoverClientY = event.clientY;
+    updateInspector();
+}
 
-    const rect = canvas.getBoundingClientRect();
-    let clientX, clientY;
+/**
+ * Shows the coordinates, material and per-cell state of the pixel under the mouse next to it.
+ * Runs every frame as well, since the pixel under a still mouse keeps changing.
+ */
+function updateInspector() {
+    const inspector = document.getElementById('inspector');
+    const cell = (showInspector && hoverX >= 0) ? world.inspect(hoverX, hoverY) : null;
+    if (!cell) {
+        inspector.hidden = true;
+        return;
+    }
 
-    if (event.touches) {
-        clientX = event.touches[0].clientX;
-        clientY = event.touches[0].clientY;
-    } else {
-        clientX = event.clientX;
-        clientY = event.clientY;
+    const lines = [`(${cell.x}, ${cell.y}) ${cell.name}`, `Temperature: ${cell.temp.toFixed(1)} °C`];
+    if (cell.velX !== 0 || cell.velY !== 0) {
+        lines.push(`Velocity: ${cell.velX.toFixed(2)}, ${cell.velY.toFixed(2)}`);
+    }
+    if (cell.charge === CHARGE_HEAD) {
+        lines.push('Charge: pulse');
+    } else if (cell.charge > 0) {
+        lines.push(`Charge: recovering (${cell.charge} frames)`);
+    }
+    if (cell.state !== null) {
+        lines.push(cell.state);
     }
 
-    const gx = Math.floor((clientX - rect.left) / PIXEL_SIZE);
-    const gy = Math.floor((clientY - rect.top) / PIXEL_SIZE);
+    inspector.textContent = lines.join('\n');
+    inspector.style.left = `${hoverClientX + 16}px`; // Beside the cursor rather than under it
+    inspector.style.top = `${hoverClientY + 16}px`;
+    inspector.hidden = false;
+}
 
-    // Draw a line if the current position is different from the last
-    if (gx !== lastX || gy !== lastY) {
-        drawLine(lastX, lastY, gx, gy, currentMaterial, brushSize);
-        lastX = gx;
-        lastY = gy;
+/**
+ * Called by the game loop after every frame: refreshes the Stats section once per STATS_INTERVAL
+ * with the frame rate, the average physics and redraw time per frame, and the material counts.
+ * Physics time covers every tick run in a frame, so it grows with the simulation speed.
+ * @param {DOMHighResTimeStamp} timestamp - Frame time passed in by requestAnimationFrame.
+ */
+function updateStats(timestamp) {
+    statsFrames++;
+    if (statsStart === null) statsStart = timestamp;
+    const elapsed = timestamp - statsStart;
+    if (elapsed < STATS_INTERVAL) return;
+
+    document.getElementById('statsFps').textContent = (statsFrames * 1000 / elapsed).toFixed(0);
+    document.getElementById('statsPhysics').textContent = statsTicks > 0 ? `${(physicsTime / statsFrames).toFixed(2)} ms` : 'paused';
+    document.getElementById('statsRender').textContent = `${(renderTime / statsFrames).toFixed(2)} ms`;
+    if (!document.getElementById('stats-content').classList.contains('collapsed')) {
+        showMaterialCounts();
     }
+
+    statsStart = timestamp;
+    statsFrames = 0;
+    statsTicks = 0;
+    physicsTime = 0;
+    renderTime = 0;
 }
 
 /**
- * Handles the end of drawing (mouse up or touch end).
+ * Lists how many pixels of each material there are, most common first,
+ * with the change since the last update.
  */
-function stopDrawing() {
-    isDrawing = false;
-    lastX = -1; // Reset last coordinates
-    lastY = -1;
+function showMaterialCounts() {
+    const counts = world.countMaterials();
+    const list = document.getElementById('materialCounts');
+    list.innerHTML = '';
+    const types = Object.keys(MATERIALS).map(Number).filter((type) => type !== EMPTY && counts[type] > 0);
+    types.sort((a, b) => counts[b] - counts[a]);
+    for (const type of types) {
+        const row = document.createElement('div');
+        row.className = 'stats-row';
+        const name = document.createElement('span');
+        name.textContent = MATERIALS[type].name;
+        const count = document.createElement('span');
+        const change = previousCounts ? counts[type] - previousCounts[type] : 0;
+        count.textContent = change === 0 ? `${counts[type]}` : `${counts[type]} (${change > 0 ? '+' : ''}${change})`;
+        row.appendChild(name);
+        row.appendChild(count);
+        list.appendChild(row);
+    }
+    previousCounts = counts;
 }
 
-// --- Sand Physics Logic ---
-
-/**
- * Updates the state of sand pixels based on gravity and collision rules.
- * Iterates from bottom-up to ensure correct falling behavior.
- * Alternates horizontal iteration direction to prevent bias in spreading.
- */
-function updatePhysics() {
-    // Determine horizontal iteration direction based on frame count
-    const startX = (frameCount % 2 === 0) ? 0 : GRID_WIDTH - 1;
-    const endX = (frameCount % 2 === 0) ? GRID_WIDTH : -1;
-    const stepX = (frameCount % 2 === 0) ? 1 : -1;
-
-    // Create a new grid for the next state to avoid reading from partially updated cells
-    let nextGrid = JSON.parse(JSON.stringify(grid)); // Deep copy the grid
-
-    // Iterate through the grid from bottom to top
-    for (let y = GRID_HEIGHT - 1; y >= 0; y--) {
-        for (let x = startX; x !== endX; x += stepX) {
-            const currentPixel = grid[y][x]; // Read from current grid state
-            const currentPixelType = currentPixel.type;
-
-            // Only apply physics to materials that are not EMPTY or SOLID (immovable)
-            if (currentPixelType !== EMPTY && MATERIALS[currentPixelType].solid === false) {
-                const materialProperties = MATERIALS[currentPixelType];
-                const currentWeight = materialProperties.weight;
-                const currentStickiness = materialProperties.stickiness;
-                const isSelfSticky = materialProperties.selfSticky || false;
-
-                let moved = false;
-                let targetY = y;
-                let targetX = x;
-
-                // 1. Check for self-sticky behavior (e.g., Glue)
-                if (isSelfSticky) {
-                    let isSupported = false;
-                    // Check directly below
-                    if (y + 1 < GRID_HEIGHT && nextGrid[y+1][x].type !== EMPTY) {
-                        isSupported = true;
-                    }
-                    // Check left neighbor for self-sticky support
-                    if (!isSupported && x > 0 && nextGrid[y][x-1].type === currentPixelType) {
-                        if (y + 1 < GRID_HEIGHT && nextGrid[y+1][x-1].type !== EMPTY) {
-                            isSupported = true;
-                        }
-                    }
-                    // Check right neighbor for self-sticky support
-                    if (!isSupported && x < GRID_WIDTH - 1 && nextGrid[y][x+1].type === currentPixelType) {
-                        if (y + 1 < GRID_HEIGHT && nextGrid[y+1][x+1].type !== EMPTY) {
-                            isSupported = true;
-                        }
-                    }
-
-                    if (isSupported) {
-                        // This pixel is supported by a solid or another sticky pixel, so it doesn't fall.
-                        continue; // Skip further physics for this pixel in this frame
-                    }
-                }
+// --- Main Game Loop ---
 
-                // 2. Try to fall straight down (gravity)
-                // Always try to fall at least 1 pixel if empty below
-                if (y + 1 < GRID_HEIGHT && nextGrid[y+1][x].type === EMPTY) {
-                    let actualFallDistance = 1;
-                    if (currentWeight >= 1) { // Only heavier materials gain "velocity"
-                        for (let i = 2; i <= currentWeight; i++) { // Check for extra fall distance
-                            if (y + i < GRID_HEIGHT && nextGrid[y+i][x].type === EMPTY) {
-                                actualFallDistance = i;
-                            } else {
-                                break; // Path blocked
-                            }
-                        }
-                    }
-                    targetY = y + actualFallDistance;
-                    moved = true;
-                }
+// Physics runs on a fixed timestep, independent of the monitor's refresh rate:
+// each animation frame adds the elapsed time (scaled by simSpeed) to an accumulator
+// and runs as many SIM_TICK_MS ticks as fit into it.
+const SIM_TICK_MS = 1000 / 60;  // Simulated milliseconds per physics tick
+const MAX_TICKS_PER_FRAME = 8;  // Cap so a slow frame can't snowball into ever more catch-up work
+const MAX_FRAME_TIME = 250;     // Longer gaps (e.g. a background tab) are treated as this long
 
-                // 3. If not moved straight down, try to move sideways/diagonally
-                if (!moved && y + 1 < GRID_HEIGHT) {
-                    // Alternate check order to prevent horizontal bias
-                    const checkOrder = (frameCount % 2 === 0) ? [-1, 1] : [1, -1]; // dx: -1 for left, 1 for right
-
-                    for (const dx of checkOrder) {
-                        const newX = x + dx;
-
-                        // Check if new diagonal position is within bounds and empty
-                        if (newX >= 0 && newX < GRID_WIDTH && nextGrid[y+1][newX].type === EMPTY) {
-                            // Apply stickiness rule:
-                            // If stickiness is 0 (water-like), it can flow even if the side cell is occupied.
-                            // If stickiness > 0 (sand-like), it requires the side cell (grid[y][newX]) to be empty to flow diagonally.
-                            if (currentStickiness === 0 || nextGrid[y][newX].type === EMPTY) {
-                                targetY = y + 1;
-                                targetX = newX;
-                                moved = true;
-                                break; // Stop after finding a valid move
-                            }
-                        }
-                    }
-                }
+let isPaused = false;           // When true, only the Step button advances the simulation
+let simSpeed = 1;               // Multiplier on simulated time (0.25x - 4x)
+let tickAccumulator = 0;        // Simulated milliseconds waiting to be run
+let lastFrameTime = null;       // Timestamp of the previous animation frame
 
-                // 4. Handle gases (negative weight - float upwards)
-                if (materialProperties.weight < 0) {
-                    let floatDistance = 0;
-                    for (let i = 1; i <= Math.abs(materialProperties.weight * 10); i++) { // Scale negative weight for speed
-                        if (y - i >= 0 && nextGrid[y-i][x].type === EMPTY) {
-                            floatDistance = i;
-                        } else {
-                            break;
-                        }
-                    }
-                    if (floatDistance > 0) {
-                        targetY = y - floatDistance;
-                        targetX = x; // Gases typically don't move sideways unless blocked
-                        moved = true;
-                    }
-                }
+/**
+ * Runs one fixed physics tick, including input that acts over time.
+ */
+function runTick() {
+    if (replay) {
+        advanceReplay(); // Feed in the recorded inputs due this frame
+        if (!replay) return; // The replay just reached its last frame
+    }
 
+    // Keep heating or cooling while the Heat/Cool brush is held still
+    if (isDrawing && drawTool === 'brush' && brushMode !== 'material') {
+        drawBrush(lastX, lastY, currentMaterial, brushSize);
+    }
 
-                // Apply the movement to the nextGrid
-                if (moved) {
-                    nextGrid[targetY][targetX] = currentPixel;
-                    nextGrid[y][x] = { type: EMPTY, color: MATERIALS[EMPTY].color };
-                }
-            }
+    const physicsStart = performance.now();
+    world.step(); // Advance reactions, heat and physics
+    physicsTime += performance.now() - physicsStart;
+    statsTicks++;
+}
+
+/**
+ * The main game loop: runs the physics ticks due since the last frame and redraws the grid.
+ * Drawing keeps working while paused because input is handled by the event listeners.
+ * @param {DOMHighResTimeStamp} timestamp - Frame time passed in by requestAnimationFrame.
+ */
+function gameLoop(timestamp) {
+    const elapsed = (lastFrameTime === null) ? 0 : Math.min(timestamp - lastFrameTime, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+
+    if (!isPaused) {
+        tickAccumulator += elapsed * simSpeed;
+        let ticks = 0;
+        while (tickAccumulator >= SIM_TICK_MS && ticks < MAX_TICKS_PER_FRAME) {
+            runTick();
+            tickAccumulator -= SIM_TICK_MS;
+            ticks++;
+        }
+        if (ticks === MAX_TICKS_PER_FRAME) {
+            tickAccumulator = 0; // Too far behind: drop the backlog instead of catching up
         }
     }
-    grid = nextGrid; // Update the main grid with the new state
-    frameCount++; // Increment frame count for alternating direction
+
+    const renderStart = performance.now();
+    drawGrid();      // Redraw the changed parts of the grid
+    renderTime += performance.now() - renderStart;
+
+    updateVideo(timestamp); // Capture a video frame if one is due
+    updateInspector(); // The pixel under the mouse may have changed
+    updateStats(timestamp);
+    requestAnimationFrame(gameLoop); // Request next frame
 }
 
-// --- Main Game Loop ---
+/**
+ * Pauses or resumes the simulation and updates the Play/Pause button.
+ * @param {boolean} paused - Whether the simulation should be paused.
+ */
+function setPaused(paused) {
+    isPaused = paused;
+    tickAccumulator = 0; // Don't run a burst of queued ticks when resuming
+    document.getElementById('pauseBtn').textContent = paused ? 'Play' : 'Pause';
+    document.getElementById('pauseBtn').classList.toggle('paused', paused);
+}
 
 /**
- * The main game loop that continuously updates physics and redraws the grid.
+ * Advances a paused simulation by exactly one tick (pausing it first if it's running).
  */
-function gameLoop() {
-    updatePhysics(); // Apply sand physics
-    drawGrid();      // Redraw the entire grid
-    requestAnimationFrame(gameLoop); // Request next frame
+function stepOnce() {
+    if (!isPaused) setPaused(true);
+    runTick();
+    drawGrid();
 }
 
 // --- UI Interaction ---
@@ -645,46 +2012,46 @@ function gameLoop() {
  * Dynamically creates and attaches buttons for each material.
  */
 function createMaterialButtons() {
-    const categories = {
-        solids: document.getElementById('solids-content'),
-        powders: document.getElementById('powders-content'),
-        liquids: document.getElementById('liquids-content'),
-        gases: document.getElementById('gases-content'),
-        misc: document.getElementById('misc-content')
-    };
-
-    // Iterate through MATERIALS and create buttons for each category
     for (const type in MATERIALS) {
-        const material = MATERIALS[type];
-        if (material.category && categories[material.category]) {
-            // Skip EMPTY as it's handled by the Eraser tool button
-            if (material.type === EMPTY) continue;
-
-            const button = document.createElement('div');
-            button.id = `${material.name.replace(/\s/g, '')}Btn`;
-            button.className = 'material-button';
-            button.setAttribute('data-material', type); // Store material type as data attribute
-
-            const swatch = document.createElement('div');
-            swatch.className = 'material-color-swatch';
-            // For material buttons, use the fixed buttonColor for consistent UI
-            swatch.style.backgroundColor = material.buttonColor;
-
-            const nameSpan = document.createElement('span');
-            nameSpan.textContent = material.name;
-
-            button.appendChild(swatch);
-            button.appendChild(nameSpan);
-
-            button.addEventListener('click', () => {
-                currentMaterial = parseInt(type); // Ensure type is number
-                updateSelectedButton(button.id);
-                showMessage(`Selected: ${material.name}`);
-            });
-
-            categories[material.category].appendChild(button);
-        }
+        createMaterialButton(Number(type));
     }
+    onMaterialRegistered(createMaterialButton); // Materials registered from now on add their own button
+}
+
+/**
+ * Creates the sidebar button of a single material, if its category has a section.
+ * @param {number} type - The material type.
+ */
+function createMaterialButton(type) {
+    const material = MATERIALS[type];
+    const container = document.getElementById(`${material.category}-content`);
+    // The Eraser ('tools') has its own button in the Tools section
+    if (type === EMPTY || !container) return;
+
+    const button = document.createElement('div');
+    button.id = `${material.name.replace(/\s/g, '')}Btn`;
+    button.className = 'material-button';
+    button.setAttribute('data-material', type); // Store material type as data attribute
+
+    const swatch = document.createElement('div');
+    swatch.className = 'material-color-swatch';
+    // For material buttons, use the fixed buttonColor for consistent UI
+    swatch.style.backgroundColor = material.buttonColor;
+
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = material.name;
+
+    button.appendChild(swatch);
+    button.appendChild(nameSpan);
+
+    button.addEventListener('click', () => {
+        currentMaterial = type;
+        brushMode = 'material';
+        updateSelectedButton(button.id);
+        showMessage(`Selected: ${material.name}`);
+    });
+
+    container.appendChild(button);
 }
 
 /**
@@ -728,34 +2095,170 @@ function setupCollapsibleSections() {
 
 // --- Event Listeners ---
 
-// Mouse events for drawing
-canvas.addEventListener('mousedown', startDrawing);
+// Mouse events for drawing; the middle button pans instead
+canvas.addEventListener('mousedown', (e) => {
+    if (e.button === 1) {
+        startPan(e);
+    } else {
+        startDrawing(e);
+    }
+});
 canvas.addEventListener('mousemove', draw);
+canvas.addEventListener('mousemove', movePan);
 canvas.addEventListener('mouseup', stopDrawing);
+canvas.addEventListener('mouseup', stopPan);
 canvas.addEventListener('mouseleave', stopDrawing); // Stop drawing if mouse leaves canvas
+canvas.addEventListener('mouseleave', stopPan);
+canvas.addEventListener('wheel', zoomWithWheel, { passive: false }); // Use passive: false to allow preventDefault
 
-// Touch events for mobile drawing
+// Touch events for mobile drawing; two fingers pan and pinch to zoom instead
 canvas.addEventListener('touchstart', (e) => {
     e.preventDefault(); // Prevent default browser actions like scrolling
-    startDrawing(e);
+    if (e.touches.length >= 2) {
+        stopDrawing(); // The stroke of the first finger ends where the gesture begins
+        pinch = getPinch(e.touches);
+    } else if (!pinch) {
+        startDrawing(e);
+    }
 }, { passive: false }); // Use passive: false to allow preventDefault
 canvas.addEventListener('touchmove', (e) => {
     e.preventDefault(); // Prevent default browser actions like scrolling
-    draw(e);
+    if (pinch && e.touches.length >= 2) {
+        movePinch(e);
+    } else {
+        draw(e);
+    }
 }, { passive: false });
-canvas.addEventListener('touchend', stopDrawing);
-canvas.addEventListener('touchcancel', stopDrawing); // Handle touch cancellation
+canvas.addEventListener('touchend', (e) => {
+    if (e.touches.length === 0) pinch = null; // The gesture lasts until every finger is lifted
+    stopDrawing();
+});
+canvas.addEventListener('touchcancel', (e) => {
+    if (e.touches.length === 0) pinch = null;
+    stopDrawing(); // Handle touch cancellation
+});
+
+// The inspector follows the mouse
+canvas.addEventListener('mousemove', trackHover);
+canvas.addEventListener('mouseleave', () => {
+    hoverX = -1;
+    hoverY = -1;
+    updateInspector();
+});
+
+// Dropping an image onto the canvas imports it
+canvas.addEventListener('dragover', (event) => {
+    event.preventDefault(); // Allow dropping
+});
+canvas.addEventListener('drop', (event) => {
+    event.preventDefault(); // Don't let the browser open the file
+    if (event.dataTransfer.files.length > 0) {
+        importImageFile(event.dataTransfer.files[0]);
+    }
+});
 
 // Tool button event listeners
 document.getElementById('emptyBtn').addEventListener('click', () => {
     currentMaterial = EMPTY;
+    brushMode = 'material';
     updateSelectedButton('emptyBtn');
     showMessage('Selected: Eraser');
 });
-document.getElementById('clearBtn').addEventListener('click', () => {
-    initGrid(); // Reset the grid to empty
-    drawGrid(); // Redraw the cleared grid
-    showMessage('Canvas Cleared!');
+document.getElementById('heatBtn').addEventListener('click', () => {
+    brushMode = 'heat';
+    updateSelectedButton('heatBtn');
+    showMessage('Selected: Heat');
+});
+document.getElementById('coolBtn').addEventListener('click', () => {
+    brushMode = 'cool';
+    updateSelectedButton('coolBtn');
+    showMessage('Selected: Cool');
+});
+document.getElementById('clearBtn').addEventListener('click', () => handleInput('clear'));
+document.getElementById('pauseBtn').addEventListener('click', () => {
+    setPaused(!isPaused);
+    showMessage(isPaused ? 'Paused' : 'Playing');
+});
+document.getElementById('stepBtn').addEventListener('click', stepOnce);
+document.getElementById('undoBtn').addEventListener('click', () => handleInput('undo'));
+document.getElementById('redoBtn').addEventListener('click', () => handleInput('redo'));
+document.getElementById('saveBtn').addEventListener('click', saveSceneToFile);
+document.getElementById('loadBtn').addEventListener('click', () => {
+    document.getElementById('loadInput').click(); // Open the file picker
+});
+document.getElementById('loadInput').addEventListener('change', (event) => {
+    if (event.target.files.length > 0) {
+        loadSceneFromFile(event.target.files[0]);
+    }
+    event.target.value = ''; // Allow loading the same file again
+});
+
+// Image import listeners
+document.getElementById('importImageBtn').addEventListener('click', () => {
+    document.getElementById('importImageInput').click(); // Open the file picker
+});
+document.getElementById('importImageInput').addEventListener('change', (event) => {
+    if (event.target.files.length > 0) {
+        importImageFile(event.target.files[0]);
+    }
+    event.target.value = ''; // Allow importing the same file again
+});
+document.getElementById('keepImageColors').addEventListener('change', (event) => {
+    keepImageColors = event.target.checked;
+});
+document.getElementById('applyImportBtn').addEventListener('click', applyImport);
+document.getElementById('cancelImportBtn').addEventListener('click', closeImportPanel);
+
+// Recording and replay listeners
+document.getElementById('recordBtn').addEventListener('click', () => {
+    if (isRecording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+});
+document.getElementById('replayBtn').addEventListener('click', () => {
+    if (replay) {
+        stopReplay('Replay stopped');
+    } else if (recording) {
+        startReplay(recording);
+    } else {
+        showMessage('Nothing recorded yet');
+    }
+});
+document.getElementById('exportRecordingBtn').addEventListener('click', exportRecording);
+document.getElementById('openRecordingBtn').addEventListener('click', () => {
+    document.getElementById('openRecordingInput').click(); // Open the file picker
+});
+document.getElementById('openRecordingInput').addEventListener('change', (event) => {
+    if (event.target.files.length > 0) {
+        openRecordingFile(event.target.files[0]);
+    }
+    event.target.value = ''; // Allow opening the same file again
+});
+
+// Snapshot and video listeners
+document.getElementById('captureScale').addEventListener('change', (event) => {
+    captureScale = parseInt(event.target.value);
+});
+document.getElementById('snapshotBtn').addEventListener('click', saveSnapshot);
+document.getElementById('videoFormat').addEventListener('change', (event) => {
+    videoFormat = event.target.value;
+});
+document.getElementById('videoFps').addEventListener('change', (event) => {
+    videoFps = parseInt(event.target.value);
+});
+document.getElementById('videoMaxSeconds').addEventListener('change', (event) => {
+    const seconds = parseInt(event.target.value);
+    videoMaxSeconds = Number.isNaN(seconds) ? videoMaxSeconds : Math.max(1, Math.min(MAX_VIDEO_SECONDS, seconds));
+    event.target.value = videoMaxSeconds; // Show the value actually used
+});
+document.getElementById('videoBtn').addEventListener('click', () => {
+    if (video) {
+        stopVideo();
+    } else {
+        startVideo();
+    }
 });
 
 // Brush size slider listener
@@ -767,6 +2270,69 @@ brushSizeSlider.addEventListener('input', (event) => {
     showMessage(`Brush Size: ${brushSize}`);
 });
 
+// Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z to redo (Cmd on macOS)
+document.addEventListener('keydown', (event) => {
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+        event.preventDefault();
+        handleInput(event.shiftKey ? 'redo' : 'undo');
+    }
+});
+
+// Brush shape, spray and drawing tool listeners
+document.getElementById('brushShape').addEventListener('change', (event) => {
+    brushShape = event.target.value;
+    showMessage(`Brush Shape: ${event.target.selectedOptions[0].textContent}`);
+});
+document.getElementById('sprayMode').addEventListener('change', (event) => {
+    sprayMode = event.target.checked;
+    showMessage(sprayMode ? 'Spray: On' : 'Spray: Off');
+});
+document.getElementById('drawTool').addEventListener('change', (event) => {
+    drawTool = event.target.value;
+    showMessage(`Tool: ${event.target.selectedOptions[0].textContent}`);
+});
+
+// Simulation speed listener
+document.getElementById('simSpeed').addEventListener('change', (event) => {
+    simSpeed = parseFloat(event.target.value);
+    showMessage(`Speed: ${simSpeed}x`);
+});
+
+// Chunk overlay toggle listener
+document.getElementById('showChunks').addEventListener('change', (event) => {
+    showChunks = event.target.checked;
+});
+
+// Magnetic field overlay toggle listener
+document.getElementById('showField').addEventListener('change', (event) => {
+    showField = event.target.checked;
+});
+
+// Inspector toggle listener
+document.getElementById('showInspector').addEventListener('change', (event) => {
+    showInspector = event.target.checked;
+    updateInspector();
+});
+
+// World size and view listeners
+document.getElementById('worldSize').addEventListener('change', (event) => {
+    if (event.target.value === 'custom') return; // Picked with the width and height fields
+    const [width, height] = event.target.value.split('x').map(Number);
+    resizeWorld(width, height);
+});
+document.getElementById('resizeWorldBtn').addEventListener('click', () => {
+    resizeWorld(parseInt(document.getElementById('worldWidth').value, 10),
+        parseInt(document.getElementById('worldHeight').value, 10));
+});
+document.getElementById('fitViewBtn').addEventListener('click', fitCamera);
+
+// Thermal view toggle listener
+document.getElementById('thermalView').addEventListener('change', (event) => {
+    thermalView = event.target.checked;
+    world.markAllDirty(); // Switch every tile back to material colors when leaving thermal view
+    showMessage(thermalView ? 'Thermal View: On' : 'Thermal View: Off');
+});
+
 
 // --- Initialization ---
 
@@ -775,11 +2341,18 @@ window.addEventListener('resize', resizeCanvas);
 
 // Start the game when the window has fully loaded
 window.onload = function() {
-    resizeCanvas(); // Set initial canvas size and grid dimensions
-    initGrid();     // Initialize the grid with empty pixels
-    drawGrid();     // Draw the initial empty grid
+    resizeCanvas(); // Set initial canvas size
+    // Fill the window on a first visit, within the world size limit
+    setWorld(new World(Math.min(MAX_WORLD_SIZE, Math.floor(canvas.width / DEFAULT_ZOOM)),
+        Math.min(MAX_WORLD_SIZE, Math.floor(canvas.height / DEFAULT_ZOOM))));
+    restoreAutosave(); // Bring back the scene and world size from the last visit
+    drawGrid();     // Draw the initial grid
     createMaterialButtons(); // Create dynamic buttons for materials
     setupCollapsibleSections(); // Make sections collapsible
-    gameLoop();     // Start the main game simulation loop
+    requestAnimationFrame(gameLoop); // Start the main game simulation loop
     updateSelectedButton('SandBtn'); // Set the initial selected drawing tool
+    setInterval(autosaveScene, AUTOSAVE_INTERVAL); // Keep saving the scene in the background
 };
+
+// Save one last time when the page is closed or reloaded
+window.addEventListener('pagehide', autosaveScene);
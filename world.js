@@ -0,0 +1,2551 @@
+// Simulation core: the materials and the World they live in.
+// Nothing in here touches the DOM, so scenes can also be scripted and run in Node:
+//   import { World, SAND } from './world.js';
+//   const world = new World(200, 150);
+//   world.fill(90, 0, 110, 20, SAND);
+//   world.step(100);
+// All randomness comes from the world's seeded generator, so new World(200, 150, 42) plays out
+// the same way on every run.
+
+// --- Utility Functions ---
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence of numbers.
+ * @param {number} seed - 32-bit integer seed.
+ * @returns {function(): number} A function returning the next number in [0, 1) on each call.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a fresh seed for a random number generator, for when a run doesn't have to be reproducible.
+ * @returns {number} A random 32-bit integer.
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Hashes a string into a 32-bit integer (FNV-1a), e.g. to derive a seed from a name.
+ * @param {string} text - The text to hash.
+ * @returns {number} The hash.
+ */
+function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generates a random integer within a specified range (inclusive).
+ * @param {function(): number} random - Random number generator from createRandom().
+ * @param {number} min - The minimum value.
+ * @param {number} max - The maximum value.
+ * @returns {number} A random integer.
+ */
+function getRandomInt(random, min, max) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * Packs RGB channels into a single opaque pixel value in ImageData byte order.
+ * Writing this value through a Uint32Array view over ImageData.data stores R, G, B, A.
+ * @param {number} r - Red channel (0-255).
+ * @param {number} g - Green channel (0-255).
+ * @param {number} b - Blue channel (0-255).
+ * @returns {number} The packed pixel (0xAABBGGRR).
+ */
+export function rgbToPixel(r, g, b) {
+    return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+/**
+ * Converts an HSL color to a packed pixel value.
+ * @param {number} h - Hue in degrees (0-360).
+ * @param {number} s - Saturation in percent (0-100).
+ * @param {number} l - Lightness in percent (0-100).
+ * @returns {number} The packed pixel (0xAABBGGRR).
+ */
+export function hslToPixel(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return rgbToPixel(channel(0), channel(8), channel(4));
+}
+
+/**
+ * Generates a random packed pixel color from hue, saturation, and lightness ranges.
+ * @param {function(): number} random - Random number generator from createRandom().
+ * @param {number[]} hueRange - [minHue, maxHue]
+ * @param {number[]} satRange - [minSaturation, maxSaturation]
+ * @param {number[]} ligRange - [minLightness, maxLightness]
+ * @returns {number} The packed pixel (0xAABBGGRR).
+ */
+function generateHSLColor(random, hueRange, satRange, ligRange) {
+    const h = getRandomInt(random, hueRange[0], hueRange[1]);
+    const s = getRandomInt(random, satRange[0], satRange[1]);
+    const l = getRandomInt(random, ligRange[0], ligRange[1]);
+    return hslToPixel(h, s, l);
+}
+
+/**
+ * Encodes bytes as a base64 string.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The base64 text.
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Convert in blocks to stay below the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string into bytes.
+ * @param {string} text - The base64 text.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// --- Material Registry ---
+
+// Materials are defined with registerMaterial(), which gives each one a numeric id and checks its definition.
+// Other modules can import registerMaterial() and registerReaction() to add their own materials and rules;
+// onMaterialRegistered() lets the UI pick up materials registered after it was built.
+export const MATERIALS = {};        // Material id -> definition
+const materialIdsByKey = new Map(); // Name without spaces, lowercased -> id (see getMaterialKey())
+const reservedMaterials = new Map(); // Id -> name, for ids reserved by reserveMaterialId() but not registered yet
+let nextMaterialId = 0;
+const materialListeners = [];       // Functions called with the id of every newly registered material
+
+const MAX_MATERIALS = 256;          // Material ids are stored in a Uint8Array
+const MATERIAL_CATEGORIES = ['tools', 'solids', 'powders', 'liquids', 'gases', 'misc'];
+
+// Pixels pick their color from a palette of precomputed variations of their material
+export const PALETTE_SIZE = 32;     // Number of precomputed color variations per material
+const materialPalettes = {};        // Material type -> Uint32Array of PALETTE_SIZE packed pixel colors
+
+// How each behavior class moves, and the properties it implies
+//   empty:  the empty cell (only the Eraser)
+//   static: doesn't move; other pixels can't push it aside
+//   powder: falls and piles up, needs a weight >= 0
+//   liquid: falls and levels out, needs a weight >= 0 and a dispersion
+//   gas:    rises, needs a weight < 0
+const MATERIAL_BEHAVIORS = {
+    empty:  { solid: false, weight: 0, stickiness: 0 },
+    static: { solid: true, weight: Infinity, stickiness: Infinity },
+    powder: { solid: false, stickiness: 0 },
+    liquid: { solid: false, stickiness: 0 },
+    gas:    { solid: false, stickiness: 0 }
+};
+
+/**
+ * @param {string} name - A material name.
+ * @returns {string} The key names are compared by, so "Salt Water" and "saltwater" count as the same material.
+ */
+function getMaterialKey(name) {
+    return name.replace(/\s/g, '').toLowerCase();
+}
+
+/**
+ * Looks up a material id by name.
+ * @param {string} name - The material name.
+ * @returns {number|undefined} The material id, or undefined if no material of that name exists.
+ */
+export function getMaterialId(name) {
+    return materialIdsByKey.get(getMaterialKey(name));
+}
+
+/**
+ * Hands out the next material id for a material that is registered later on.
+ * @param {string} name - Name the material will be registered under.
+ * @returns {number} The material id.
+ */
+export function reserveMaterialId(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Material names must be non-empty strings');
+    }
+    const existing = getMaterialId(name);
+    if (existing !== undefined) {
+        throw new Error(`Material "${name}" is already taken by id ${existing}`);
+    }
+    if (nextMaterialId >= MAX_MATERIALS) {
+        throw new Error(`Cannot add "${name}": all ${MAX_MATERIALS} material ids are in use`);
+    }
+    const id = nextMaterialId++;
+    materialIdsByKey.set(getMaterialKey(name), id);
+    reservedMaterials.set(id, name);
+    return id;
+}
+
+/**
+ * Adds a material, checking every required property (see the comment above the material definitions).
+ * Missing 'solid', 'weight' and 'stickiness' are filled in from the behavior class,
+ * and 'buttonColor' from the color ranges.
+ * @param {object} definition - The material definition.
+ * @returns {number} The id of the new material.
+ */
+export function registerMaterial(definition) {
+    const name = definition && definition.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('Material definitions need a non-empty name');
+    }
+    const fail = (problem) => { throw new Error(`Material "${name}" ${problem}`); };
+
+    let id = getMaterialId(name);
+    if (id !== undefined && !reservedMaterials.has(id)) {
+        fail(`is already registered (id ${id}, "${MATERIALS[id].name}")`);
+    }
+
+    for (const rangeName of ['hueRange', 'satRange', 'ligRange']) {
+        const range = definition[rangeName];
+        const max = rangeName === 'hueRange' ? 360 : 100;
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+            fail(`needs a ${rangeName} of two numbers`);
+        }
+        if (range[0] < 0 || range[1] > max || range[0] > range[1]) {
+            fail(`has an invalid ${rangeName} [${range}]: expected min <= max within 0-${max}`);
+        }
+    }
+    if (!MATERIAL_CATEGORIES.includes(definition.category)) {
+        fail(`has unknown category '${definition.category}' (expected one of ${MATERIAL_CATEGORIES.join(', ')})`);
+    }
+
+    const behavior = MATERIAL_BEHAVIORS[definition.behavior];
+    if (!behavior) {
+        fail(`has unknown behavior '${definition.behavior}' (expected one of ${Object.keys(MATERIAL_BEHAVIORS).join(', ')})`);
+    }
+    const material = Object.assign({}, behavior, definition);
+    if ((definition.behavior === 'empty') !== (id === 0)) {
+        fail(`can't use behavior '${definition.behavior}': only the Eraser is empty`);
+    }
+    if (material.solid !== (definition.behavior === 'static')) {
+        fail(`with behavior '${definition.behavior}' can't have solid: ${material.solid}`);
+    }
+    if (typeof material.weight !== 'number' || Number.isNaN(material.weight)) {
+        fail('needs a numeric weight');
+    }
+    if (definition.behavior === 'gas' && !(material.weight < 0)) {
+        fail('is a gas and needs a negative weight');
+    }
+    if (definition.behavior !== 'gas' && material.weight < 0) {
+        fail(`has weight ${material.weight}, but only gases can be lighter than air`);
+    }
+    if (definition.behavior === 'liquid' && !(material.dispersion > 0)) {
+        fail('is a liquid and needs a dispersion above 0');
+    }
+    if (definition.update !== undefined && typeof definition.update !== 'function') {
+        fail('has an update that is not a function');
+    }
+    if (definition.describeState !== undefined && typeof definition.describeState !== 'function') {
+        fail('has a describeState that is not a function');
+    }
+    if (definition.isValidState !== undefined && typeof definition.isValidState !== 'function') {
+        fail('has an isValidState that is not a function');
+    }
+
+    for (const key in material) {
+        if (key.endsWith('Into') && !isMaterialId(material[key])) {
+            fail(`has an unknown material in ${key}`);
+        }
+    }
+    if (material.reactions !== undefined) {
+        if (!Array.isArray(material.reactions)) fail('has reactions that are not an array');
+        material.reactions.forEach((rule) => checkReaction(name, rule));
+    }
+
+    if (material.buttonColor === undefined) {
+        const middle = (range) => Math.round((range[0] + range[1]) / 2);
+        material.buttonColor = `hsl(${middle(material.hueRange)}, ${middle(material.satRange)}%, ${middle(material.ligRange)}%)`;
+    }
+
+    if (id === undefined) id = reserveMaterialId(name);
+    MATERIALS[id] = material;
+    reservedMaterials.delete(id);
+    buildPalette(id);
+    materialListeners.forEach((listener) => listener(id));
+    return id;
+}
+
+/**
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is the id of a registered or reserved material.
+ */
+function isMaterialId(value) {
+    return Number.isInteger(value) && value >= 0 && value < nextMaterialId;
+}
+
+/**
+ * Checks a reaction rule, throwing an error that names the material if it refers to unknown materials.
+ * @param {string} name - Name of the material the rule belongs to.
+ * @param {object} rule - The reaction rule.
+ */
+function checkReaction(name, rule) {
+    const fail = (problem) => { throw new Error(`Reaction of "${name}" ${problem}`); };
+    if (!rule || typeof rule !== 'object') fail('must be an object');
+    if (!(rule.chance > 0 && rule.chance <= 1)) fail(`has chance ${rule.chance}, expected above 0 and at most 1`);
+
+    const withTypes = Array.isArray(rule.with) ? rule.with : rule.with === undefined ? [] : [rule.with];
+    if (rule.with !== ANY && !withTypes.every(isMaterialId)) fail('has an unknown material in with');
+    if (rule.except !== undefined && !(Array.isArray(rule.except) && rule.except.every(isMaterialId))) {
+        fail('has an unknown material in except');
+    }
+    for (const key of ['becomes', 'neighborBecomes']) {
+        if (rule[key] !== undefined && !isMaterialId(rule[key])) fail(`has an unknown material in ${key}`);
+    }
+    if (rule.with === undefined && (rule.neighborBecomes !== undefined || rule.electrifies)) {
+        fail('changes a neighbor but has no with');
+    }
+}
+
+/**
+ * Adds a reaction rule to a registered material, e.g. to make a built-in material react with a new one.
+ * @param {number} type - The material the rule belongs to.
+ * @param {object} rule - The reaction rule (see the comment above the material definitions).
+ */
+export function registerReaction(type, rule) {
+    const material = MATERIALS[type];
+    if (!material) {
+        throw new Error(`Cannot add a reaction to unknown material id ${type}`);
+    }
+    checkReaction(material.name, rule);
+    material.reactions = (material.reactions || []).concat([rule]);
+}
+
+/**
+ * Precomputes the color variations of a single material.
+ * The colors are seeded by the material's name, so a pixel's palette index means the same color on every page load.
+ * @param {number} type - The material type.
+ */
+function buildPalette(type) {
+    const material = MATERIALS[type];
+    const palette = new Uint32Array(PALETTE_SIZE);
+    const random = createRandom(hashString(material.name));
+    for (let i = 0; i < PALETTE_SIZE; i++) {
+        palette[i] = generateHSLColor(random, material.hueRange, material.satRange, material.ligRange);
+    }
+    materialPalettes[type] = palette;
+}
+
+/**
+ * @param {number} type - The material type.
+ * @returns {Uint32Array} The material's PALETTE_SIZE color variations as packed pixels (0xAABBGGRR). Don't modify it.
+ */
+export function getMaterialPalette(type) {
+    return materialPalettes[type];
+}
+
+/**
+ * Calls a function whenever a material is registered from now on, e.g. to add its button to the sidebar.
+ * @param {function(number): void} listener - Receives the id of the new material.
+ */
+export function onMaterialRegistered(listener) {
+    materialListeners.push(listener);
+}
+
+/**
+ * Makes sure every reserved material id ended up with a definition.
+ */
+function checkMaterialRegistry() {
+    for (const [id, name] of reservedMaterials) {
+        throw new Error(`Material id ${id} ("${name}") was reserved but never registered`);
+    }
+}
+
+// --- Materials ---
+
+// Material ids are handed out by the Material Registry in the order they are reserved here.
+// Reserving them up front lets definitions refer to materials defined further down,
+// and keeps the ids stored in saved scenes stable. New materials go at the end.
+export const EMPTY = reserveMaterialId("Eraser");
+export const SAND = reserveMaterialId("Sand");
+export const STONE = reserveMaterialId("Stone");
+export const METAL = reserveMaterialId("Metal");
+export const GLASS = reserveMaterialId("Glass");
+export const SALT = reserveMaterialId("Salt");
+export const CORN_STARCH = reserveMaterialId("Corn Starch");
+export const WATER = reserveMaterialId("Water");
+export const OIL = reserveMaterialId("Oil");
+export const LAVA = reserveMaterialId("Lava");
+export const SLIME = reserveMaterialId("Slime");
+export const ACID = reserveMaterialId("Acid");
+export const STEAM = reserveMaterialId("Steam");
+export const HELIUM = reserveMaterialId("Helium");
+export const SMOKE = reserveMaterialId("Smoke");
+export const CLOUD = reserveMaterialId("Cloud");
+export const FIRE = reserveMaterialId("Fire");
+export const EXPLOSIVE = reserveMaterialId("Explosive");
+export const ICE = reserveMaterialId("Ice");
+export const SNOW = reserveMaterialId("Snow");
+export const BOUNCY = reserveMaterialId("Bouncy");
+export const ELECTRICITY = reserveMaterialId("Electricity");
+export const MAGNET = reserveMaterialId("Magnet");
+export const ANTIMATTER = reserveMaterialId("Antimatter");
+export const CLONER = reserveMaterialId("Cloner");
+export const PLANT = reserveMaterialId("Plant");
+export const GLASS_SHARDS = reserveMaterialId("Glass Shards");
+export const SALT_WATER = reserveMaterialId("Salt Water");
+export const IRON_FILINGS = reserveMaterialId("Iron Filings");
+export const DEAD_PLANT = reserveMaterialId("Dead Plant");
+export const SEED = reserveMaterialId("Seed");
+export const WATER_SOURCE = reserveMaterialId("Water Source");
+export const LAVA_SOURCE = reserveMaterialId("Lava Vent");
+export const VOID = reserveMaterialId("Void");
+export const SAWDUST = reserveMaterialId("Sawdust");
+export const GLUE = reserveMaterialId("Glue");
+export const UNICORN_FLESH = reserveMaterialId("Unicorn Flesh");
+
+// Wildcard used in reaction rules to match any non-empty neighbor
+export const ANY = -1;
+
+// Temperatures are in degrees Celsius
+export const AMBIENT_TEMP = 20;     // Starting temperature for materials without a baseTemp
+const ABSOLUTE_ZERO = -273;         // Lowest temperature the Cool brush can reach
+const DEFAULT_CONDUCTIVITY = 0.2;   // Used for materials without a conductivity
+const AIR_COOLING_RATE = 0.05;      // How quickly empty cells return to ambient temperature
+
+const DISPLACE_RATE = 3;            // Chance per frame per unit of weight difference that a heavier pixel sinks
+
+// Velocities are in cells per frame
+const GRAVITY = 0.2;                // Added to a falling pixel's downward speed every frame
+const MAX_FALL_SPEED = 8;           // Terminal velocity
+const IMPACT_SPREAD = 0.5;          // Fraction of landing speed turned into sideways speed (less for sticky materials)
+const GROUND_FRICTION = 0.7;        // Fraction of sideways speed a pixel resting on something keeps each frame
+const MIN_BOUNCE_SPEED = 1;         // Slower impacts come to rest instead of bouncing or splashing
+const DRAG = 0.5;                   // Fraction of speed kept when pushing into a liquid or gas
+
+const MAX_BLAST_RADIUS = 48;        // Largest explosion radius in cells, however much explosive is connected
+const MAX_BLAST_CELLS = 1000;       // Connected explosive consumed by one detonation; the rest chains off it
+const DEFAULT_BLAST_RESISTANCE = 0.4; // Used for solids without a blastResistance
+const BLAST_FORCE = 8;              // Speed in cells per frame given to loose pixels at the center of a blast
+const BLAST_HEAT = 600;             // Degrees added at the center of a blast
+
+const ELECTROLYSIS_CHANCE = 0.05;   // Chance that a charged liquid which electrolyzes splits into gas
+
+const MAGNET_RADIUS = 48;           // Distance in cells beyond which magnets don't pull
+const MAGNET_STRENGTH = 3;          // Pull of a single magnet pixel one cell away, in cells per frame per frame
+const MAX_MAGNET_PULL = 1;          // Cap on the pull of one chunk of magnets, so close particles don't shoot off
+
+const MAX_PLANT_WATER = 1000;       // Most water a plant pixel can hold
+const WATER_PER_PIXEL = 200;        // Water a plant gets from absorbing one Water pixel
+const PLANT_GROWTH_COST = 60;       // Water spent growing one new plant pixel
+const PLANT_GROWTH_CHANCE = 0.05;   // Chance per frame that a plant pixel with enough water grows
+const PLANT_DRYING_CHANCE = 0.2;    // Chance per frame that a plant pixel loses one unit of water
+const PLANT_WILT_CHANCE = 0.001;    // Chance per frame that a dry plant pixel dies
+const SPROUT_CHANCE = 0.01;         // Chance per frame that a seed on wet soil sprouts
+const CLONE_CHANCE = 0.2;           // Chance per frame that a Cloner emits into an empty neighbor
+const RAIN_CHANCE = 0.001;          // Chance per frame that a cloud pixel drops rain into the empty cell below it
+
+// Materials are added with registerMaterial(). Every material needs:
+//   name:                        unique, also used for its sidebar button
+//   hueRange/satRange/ligRange:  [min, max] HSL ranges its pixel colors are picked from
+//   category:                    sidebar section (solids, powders, liquids, gases, misc; tools has no button)
+//   behavior:                    how it moves: 'static', 'powder', 'liquid' or 'gas' (see MATERIAL_BEHAVIORS)
+//   weight:                      heavier pixels sink through lighter ones, gases are negative (static materials don't need one)
+// Optional: stickiness (how reluctantly it slides), selfSticky, buttonColor / buttonTextColor.
+// Optional 'reactions' is a list of rules checked every frame by updateReactions():
+//   with:            neighbor material, array of materials, or ANY (omit for a spontaneous change)
+//   except:          materials excluded when 'with' is ANY
+//   becomes:         what this pixel turns into (omit to leave it unchanged)
+//   neighborBecomes: what the touching neighbor turns into (omit to leave it unchanged)
+//   explodes:        true to detonate this pixel (see detonate())
+//   electrifies:     true to start an electric pulse in the touching neighbor (see chargeCell())
+//   chance:          probability per frame that the rule fires for each touching neighbor
+//   minTemp/maxTemp: only fire while this pixel is at least minTemp / below maxTemp (optional)
+// Liquids also have a 'dispersion': how many cells they can spread sideways per frame to level out.
+// Their stickiness acts as viscosity, slowing that spreading down.
+// Gases use 'dispersion' to spread out under ceilings, and fade away through spontaneous reactions.
+// Thermal properties used by updateTemperature():
+//   conductivity:                how fast heat flows to and from neighbors (0-1)
+//   baseTemp:                    temperature of freshly placed pixels (defaults to AMBIENT_TEMP)
+//   meltPoint / meltsInto:       above this temperature the pixel melts
+//   boilPoint / boilsInto:       above this temperature the pixel boils
+//   freezePoint / freezesInto:   below this temperature the pixel freezes
+//   condensePoint / condensesInto: below this temperature the pixel condenses
+//   ignitePoint:                 above this temperature the pixel catches fire
+// Solids with a 'restitution' (0-1) bounce pixels that hit them back, keeping that fraction of their speed.
+// Explosive materials have a 'blastRadius' (for a single pixel, growing with the amount of connected explosive)
+// and detonate above their 'detonatePoint'; reaction rules with 'explodes: true' detonate them on contact.
+// Solids withstand blasts weaker than their 'blastResistance' (0-1, above 1 is indestructible)
+// and, when destroyed, may 'shatterInto' another material instead of disappearing.
+// Materials with 'electricalConductor: true' carry electric charge, resting for 'chargeRecovery' frames
+// (default 1) after each pulse; conductors that 'electrolyze' sometimes split into Steam or Helium while charged.
+// Materials that 'sparkIgnites' catch fire next to a charge head; other flammables only burn from heat.
+// 'magnetic' materials pull loose 'ferrous' pixels towards themselves (see the Magnetism section).
+// Seeds sprout on 'soil' materials (see the Plants section).
+// 'update' is a function(world, x, y) run every frame for each pixel of the material, for behavior
+// that doesn't fit reaction rules (see updateBehaviors()). 'machine' materials are ignored by Cloners.
+// 'describeState' is a function(state) explaining what the pixel keeps in cellStates, for World.inspect().
+// 'isValidState' is a function(state) that tells parseScene() whether a saved state can be loaded.
+registerMaterial({
+    name: "Eraser",
+    hueRange: [0, 0], satRange: [0, 0], ligRange: [6, 7], // Matches canvas background #0d1117
+    behavior: 'empty',
+    conductivity: 0.02, // Air insulates and drifts back to ambient temperature
+    buttonColor: '#e2e8f0', buttonTextColor: '#2d3748',
+    category: 'tools'
+});
+// Solids
+registerMaterial({
+    name: "Stone",
+    hueRange: [215, 248], satRange: [8, 31], ligRange: [45, 55],
+    behavior: 'static',
+    conductivity: 0.3, meltPoint: 1200, meltsInto: LAVA,
+    blastResistance: 0.5,
+    buttonColor: 'hsl(230, 20%, 50%)', buttonTextColor: '#e2e8f0',
+    category: 'solids'
+});
+registerMaterial({
+    name: "Metal",
+    hueRange: [200, 210], satRange: [5, 15], ligRange: [30, 40],
+    behavior: 'static',
+    conductivity: 0.9, // Conducts heat fast
+    blastResistance: 2, // Withstands any explosion
+    electricalConductor: true, // Glows while carrying a charge
+    buttonColor: 'hsl(205, 10%, 35%)', buttonTextColor: '#e2e8f0',
+    category: 'solids'
+});
+registerMaterial({
+    name: "Glass",
+    hueRange: [180, 200], satRange: [5, 10], ligRange: [70, 80],
+    behavior: 'static',
+    conductivity: 0.05, // Conducts heat slowly
+    blastResistance: 0.1, shatterInto: GLASS_SHARDS,
+    buttonColor: 'hsl(190, 7%, 75%)', buttonTextColor: '#2d3748',
+    category: 'solids'
+});
+// Powders
+registerMaterial({
+    name: "Sand",
+    hueRange: [38, 38], satRange: [66, 88], ligRange: [60, 70],
+    behavior: 'powder', weight: 1, stickiness: 0.5,
+    conductivity: 0.2, meltPoint: 1000, meltsInto: GLASS,
+    soil: true,
+    buttonColor: '#f6ad55', buttonTextColor: '#2d3748',
+    category: 'powders'
+});
+registerMaterial({
+    name: "Salt",
+    hueRange: [0, 0], satRange: [0, 5], ligRange: [90, 95],
+    behavior: 'powder', weight: 0.9, stickiness: 0.4, // Slightly lighter/less sticky than sand
+    buttonColor: 'hsl(0, 2%, 92%)', buttonTextColor: '#2d3748',
+    category: 'powders',
+    reactions: [
+        { with: WATER, becomes: EMPTY, neighborBecomes: SALT_WATER, chance: 0.02 } // Dissolves
+    ]
+});
+registerMaterial({
+    name: "Corn Starch",
+    hueRange: [38, 47], satRange: [60, 88], ligRange: [79, 80],
+    behavior: 'powder', weight: 1, stickiness: 0.8, // More sticky than sand
+    buttonColor: 'hsl(40, 70%, 79%)', buttonTextColor: '#2d3748',
+    category: 'powders'
+});
+registerMaterial({
+    name: "Sawdust",
+    hueRange: [20, 30], satRange: [30, 40], ligRange: [50, 60],
+    behavior: 'powder', weight: 0.8, stickiness: 0.6, // Lighter than sand, slightly stickier
+    conductivity: 0.1, ignitePoint: 300,
+    buttonColor: 'hsl(25, 35%, 55%)', buttonTextColor: '#e2e8f0',
+    category: 'powders'
+});
+registerMaterial({
+    name: "Glass Shards",
+    hueRange: [180, 200], satRange: [5, 10], ligRange: [75, 85],
+    behavior: 'powder', weight: 1, stickiness: 0.6, // Left behind by shattered glass
+    conductivity: 0.05, meltPoint: 1000, meltsInto: GLASS,
+    buttonColor: 'hsl(190, 8%, 80%)', buttonTextColor: '#2d3748',
+    category: 'powders'
+});
+registerMaterial({
+    name: "Iron Filings",
+    hueRange: [200, 220], satRange: [5, 10], ligRange: [25, 35],
+    behavior: 'powder', weight: 1.2, stickiness: 0.3, // Heavy powder, pulled by magnets
+    conductivity: 0.8, ferrous: true, electricalConductor: true,
+    buttonColor: 'hsl(210, 8%, 30%)', buttonTextColor: '#e2e8f0',
+    category: 'powders'
+});
+registerMaterial({
+    name: "Seed",
+    hueRange: [30, 40], satRange: [40, 60], ligRange: [25, 35],
+    behavior: 'powder', weight: 1, stickiness: 0.5, // Sprouts on wet soil
+    conductivity: 0.1, ignitePoint: 300, update: updateSeed,
+    buttonColor: 'hsl(35, 50%, 30%)', buttonTextColor: '#e2e8f0',
+    category: 'powders'
+});
+// Liquids
+registerMaterial({
+    name: "Water",
+    hueRange: [200, 220], satRange: [70, 90], ligRange: [50, 60],
+    behavior: 'liquid', weight: 0.7, stickiness: 0, dispersion: 5, // Very fluid
+    conductivity: 0.4, freezePoint: 0, freezesInto: ICE, boilPoint: 100, boilsInto: STEAM,
+    electricalConductor: true, chargeRecovery: 10, electrolyzes: true,
+    buttonColor: 'hsl(210, 80%, 55%)', buttonTextColor: '#e2e8f0',
+    category: 'liquids',
+    reactions: [
+        { with: FIRE, becomes: STEAM, neighborBecomes: SMOKE, chance: 0.3 } // Puts out fire
+    ]
+});
+registerMaterial({
+    name: "Salt Water",
+    hueRange: [185, 200], satRange: [50, 70], ligRange: [50, 60],
+    behavior: 'liquid', weight: 0.75, stickiness: 0, dispersion: 5, // Slightly denser than fresh water
+    conductivity: 0.4, freezePoint: -20, freezesInto: ICE, boilPoint: 100, boilsInto: SALT, // Leaves its salt behind
+    electricalConductor: true, chargeRecovery: 10, electrolyzes: true,
+    buttonColor: 'hsl(190, 60%, 55%)', buttonTextColor: '#e2e8f0',
+    category: 'liquids',
+    reactions: [
+        { with: FIRE, becomes: STEAM, neighborBecomes: SMOKE, chance: 0.3 } // Puts out fire
+    ]
+});
+registerMaterial({
+    name: "Oil",
+    hueRange: [40, 60], satRange: [80, 90], ligRange: [20, 30],
+    behavior: 'liquid', weight: 0.6, stickiness: 0.1, dispersion: 4, // Slightly less dense than water, still fluid
+    conductivity: 0.15, ignitePoint: 250, sparkIgnites: true,
+    buttonColor: 'hsl(50, 85%, 25%)', buttonTextColor: '#e2e8f0',
+    category: 'liquids'
+});
+registerMaterial({
+    name: "Lava",
+    hueRange: [0, 30], satRange: [90, 100], ligRange: [40, 60],
+    behavior: 'liquid', weight: 1.5, stickiness: 0.3, dispersion: 2, // Heavy, flows
+    conductivity: 0.3, baseTemp: 1400, freezePoint: 800, freezesInto: STONE,
+    buttonColor: 'hsl(15, 95%, 50%)', buttonTextColor: '#e2e8f0',
+    category: 'liquids',
+    reactions: [
+        { with: WATER, becomes: STONE, neighborBecomes: STEAM, chance: 0.5 },
+        { with: [OIL, SAWDUST, PLANT, DEAD_PLANT, SEED], neighborBecomes: FIRE, chance: 0.2 } // Ignites fuel
+    ]
+});
+registerMaterial({
+    name: "Slime",
+    hueRange: [100, 120], satRange: [70, 90], ligRange: [50, 60],
+    behavior: 'liquid', weight: 0.9, stickiness: 0.7, dispersion: 2, // Sticky liquid
+    buttonColor: 'hsl(110, 80%, 55%)', buttonTextColor: '#2d3748',
+    category: 'liquids'
+});
+registerMaterial({
+    name: "Acid",
+    hueRange: [70, 90], satRange: [80, 95], ligRange: [40, 50],
+    behavior: 'liquid', weight: 0.7, stickiness: 0, dispersion: 5, // Fluid, corrosive
+    buttonColor: 'hsl(80, 85%, 45%)', buttonTextColor: '#2d3748',
+    category: 'liquids',
+    reactions: [
+        // Dissolves anything except glass, occasionally using itself up
+        { with: ANY, except: [GLASS, ACID], becomes: EMPTY, neighborBecomes: EMPTY, chance: 0.02 },
+        { with: ANY, except: [GLASS, ACID], neighborBecomes: EMPTY, chance: 0.05 }
+    ]
+});
+registerMaterial({
+    name: "Glue",
+    hueRange: [20, 39], satRange: [20, 28], ligRange: [80, 90],
+    behavior: 'liquid', weight: 0.5, stickiness: 0.9, dispersion: 1, // Lighter, very sticky (for diagonal flow)
+    selfSticky: true, // New property for sticking to itself in the air
+    buttonColor: 'hsl(30, 24%, 85%)', buttonTextColor: '#2d3748',
+    category: 'liquids'
+});
+// Gases
+registerMaterial({
+    name: "Steam",
+    hueRange: [200, 220], satRange: [5, 15], ligRange: [80, 90],
+    behavior: 'gas', weight: -0.1, stickiness: 0, dispersion: 3, // Floats upwards
+    conductivity: 0.1, baseTemp: 120, condensePoint: 95, condensesInto: WATER,
+    buttonColor: 'hsl(210, 10%, 85%)', buttonTextColor: '#2d3748',
+    category: 'gases',
+    reactions: [
+        { becomes: WATER, chance: 0.002 } // Condenses back into droplets over time
+    ]
+});
+registerMaterial({
+    name: "Helium",
+    hueRange: [20, 40], satRange: [5, 10], ligRange: [90, 95],
+    behavior: 'gas', weight: -0.5, stickiness: 0, dispersion: 4, // Floats rapidly upwards
+    buttonColor: 'hsl(30, 7%, 92%)', buttonTextColor: '#2d3748',
+    category: 'gases',
+    reactions: [
+        { becomes: EMPTY, chance: 0.0002 } // Slowly escapes
+    ]
+});
+registerMaterial({
+    name: "Smoke",
+    hueRange: [0, 0], satRange: [0, 10], ligRange: [20, 30],
+    behavior: 'gas', weight: -0.05, stickiness: 0, dispersion: 2, // Drifts upwards slowly
+    buttonColor: 'hsl(0, 5%, 25%)', buttonTextColor: '#e2e8f0',
+    category: 'gases',
+    reactions: [
+        { becomes: EMPTY, chance: 0.005 } // Fades away
+    ]
+});
+registerMaterial({
+    name: "Cloud",
+    hueRange: [0, 0], satRange: [0, 5], ligRange: [85, 95],
+    behavior: 'gas', weight: -0.02, stickiness: 0, dispersion: 1, // Drifts very slowly upwards
+    update: updateCloud, // Rains, or snows when cold
+    buttonColor: 'hsl(0, 2%, 90%)', buttonTextColor: '#2d3748',
+    category: 'gases',
+    reactions: [
+        { becomes: EMPTY, chance: 0.00002 } // Dissipates, far slower than it rains
+    ]
+});
+// Misc
+registerMaterial({
+    name: "Fire",
+    hueRange: [0, 60], satRange: [90, 100], ligRange: [50, 70],
+    behavior: 'gas', weight: -0.2, stickiness: 0, // Floats upwards, consumes fuel
+    conductivity: 0.5, baseTemp: 900,
+    buttonColor: 'hsl(30, 95%, 60%)', buttonTextColor: '#2d3748',
+    category: 'misc',
+    reactions: [
+        { with: [OIL, SAWDUST, PLANT, DEAD_PLANT, SEED], neighborBecomes: FIRE, chance: 0.3 }, // Spreads through fuel
+        { becomes: SMOKE, chance: 0.05 } // Burns out, leaving smoke
+    ]
+});
+registerMaterial({
+    name: "Explosive",
+    hueRange: [0, 10], satRange: [50, 70], ligRange: [20, 30],
+    behavior: 'static', // Solid, explodes
+    blastRadius: 4, detonatePoint: 300,
+    buttonColor: 'hsl(5, 60%, 25%)', buttonTextColor: '#e2e8f0',
+    category: 'misc',
+    reactions: [
+        { with: [FIRE, LAVA, ELECTRICITY], explodes: true, chance: 1 }
+    ]
+});
+registerMaterial({
+    name: "Ice",
+    hueRange: [200, 220], satRange: [10, 20], ligRange: [75, 85],
+    behavior: 'static', // Solid, melts into water
+    conductivity: 0.5, baseTemp: -20, meltPoint: 0, meltsInto: WATER,
+    blastResistance: 0.2, shatterInto: SNOW,
+    buttonColor: 'hsl(210, 15%, 80%)', buttonTextColor: '#2d3748',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Snow",
+    hueRange: [0, 0], satRange: [0, 5], ligRange: [95, 100],
+    behavior: 'powder', weight: 0.3, stickiness: 0.7, // Powder, melts into water
+    conductivity: 0.2, baseTemp: -10, meltPoint: 0, meltsInto: WATER,
+    buttonColor: 'hsl(0, 2%, 97%)', buttonTextColor: '#2d3748',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Bouncy",
+    hueRange: [120, 140], satRange: [80, 90], ligRange: [50, 60],
+    behavior: 'static', // Solid, makes things bounce
+    restitution: 0.8,
+    buttonColor: 'hsl(130, 85%, 55%)', buttonTextColor: '#2d3748',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Electricity",
+    hueRange: [40, 60], satRange: [90, 100], ligRange: [70, 80],
+    behavior: 'powder', weight: 0, stickiness: 0, // Short-lived spark
+    buttonColor: 'hsl(50, 95%, 75%)', buttonTextColor: '#2d3748',
+    category: 'misc',
+    reactions: [
+        { with: [METAL, WATER, SALT_WATER], becomes: EMPTY, electrifies: true, chance: 1 }, // Runs into conductors
+        { with: OIL, neighborBecomes: FIRE, chance: 0.5 },
+        { becomes: EMPTY, chance: 0.1 } // Fizzles out
+    ]
+});
+registerMaterial({
+    name: "Magnet",
+    hueRange: [240, 260], satRange: [10, 20], ligRange: [20, 30],
+    behavior: 'static', // Solid, attracts iron filings
+    magnetic: true,
+    buttonColor: 'hsl(250, 15%, 25%)', buttonTextColor: '#e2e8f0',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Antimatter",
+    hueRange: [300, 320], satRange: [90, 100], ligRange: [50, 60],
+    behavior: 'powder', weight: 0.1, stickiness: 0, // Reacts with everything
+    buttonColor: 'hsl(310, 95%, 55%)', buttonTextColor: '#e2e8f0',
+    category: 'misc',
+    reactions: [
+        // Destroys any neighbor, sometimes annihilating itself in the process
+        { with: ANY, except: [ANTIMATTER], becomes: EMPTY, neighborBecomes: EMPTY, chance: 0.2 },
+        { with: ANY, except: [ANTIMATTER], neighborBecomes: EMPTY, chance: 1 }
+    ]
+});
+registerMaterial({
+    name: "Cloner",
+    hueRange: [45, 50], satRange: [80, 90], ligRange: [45, 55],
+    behavior: 'static', // Copies the first material that touches it
+    machine: true, update: updateCloner, describeState: describeClonerState, isValidState: isValidClonerState,
+    buttonColor: 'hsl(48, 85%, 50%)', buttonTextColor: '#2d3748',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Water Source",
+    hueRange: [205, 215], satRange: [60, 70], ligRange: [30, 35],
+    behavior: 'static', // A tap that never runs dry
+    machine: true,
+    buttonColor: 'hsl(210, 65%, 32%)', buttonTextColor: '#e2e8f0',
+    category: 'misc',
+    reactions: [
+        { with: EMPTY, neighborBecomes: WATER, chance: 0.2 }
+    ]
+});
+registerMaterial({
+    name: "Lava Vent",
+    hueRange: [10, 20], satRange: [60, 70], ligRange: [15, 20],
+    behavior: 'static', // Wells up lava
+    conductivity: 0.05, baseTemp: 1400, machine: true,
+    buttonColor: 'hsl(15, 65%, 18%)', buttonTextColor: '#e2e8f0',
+    category: 'misc',
+    reactions: [
+        { with: EMPTY, neighborBecomes: LAVA, chance: 0.1 }
+    ]
+});
+registerMaterial({
+    name: "Void",
+    hueRange: [270, 280], satRange: [30, 40], ligRange: [5, 8],
+    behavior: 'static', // Drain that deletes whatever touches it
+    machine: true,
+    buttonColor: 'hsl(275, 35%, 8%)', buttonTextColor: '#e2e8f0',
+    category: 'misc',
+    reactions: [
+        { with: ANY, except: [VOID], neighborBecomes: EMPTY, chance: 1 }
+    ]
+});
+registerMaterial({
+    name: "Plant",
+    hueRange: [90, 110], satRange: [40, 60], ligRange: [30, 40],
+    behavior: 'static', // Solid, drinks water and grows
+    conductivity: 0.1, ignitePoint: 350, update: updatePlant, describeState: describePlantState,
+    isValidState: isValidPlantState,
+    buttonColor: 'hsl(100, 50%, 35%)', buttonTextColor: '#e2e8f0',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Dead Plant",
+    hueRange: [25, 35], satRange: [40, 55], ligRange: [25, 35],
+    behavior: 'static', // Dry and flammable
+    conductivity: 0.1, ignitePoint: 250,
+    buttonColor: 'hsl(30, 48%, 30%)', buttonTextColor: '#e2e8f0',
+    category: 'misc'
+});
+registerMaterial({
+    name: "Unicorn Flesh",
+    hueRange: [330, 350], satRange: [80, 88], ligRange: [68, 80],
+    behavior: 'powder', weight: 1, stickiness: 0.2, // More fluid
+    buttonColor: 'hsl(340, 84%, 74%)', buttonTextColor: '#2d3748',
+    category: 'misc'
+});
+
+// --- Grid ---
+
+// Per-cell flag bits
+const FLAG_UPDATED = 1; // Cell has already moved this frame
+const FLAG_REACTED = 2; // Cell has already taken part in a reaction this frame
+
+const EMPTY_COLOR = rgbToPixel(0x0d, 0x11, 0x17); // Matches the canvas background for seamless clearing
+
+// Changed cells are tracked per tile so the renderer only has to redraw those
+export const RENDER_TILE_SIZE = 16; // Width and height in cells of the regions tracked for redrawing
+
+// Simulation chunks: a chunk where nothing changed goes to sleep and is skipped
+// until a change in or right next to it wakes it up again
+export const CHUNK_SIZE = 32;  // Width and height of a chunk in cells
+const TEMP_SLEEP_THRESHOLD = 0.05; // Temperature changes smaller than this don't keep a chunk awake
+
+// Orthogonal neighbor offsets checked for contact reactions
+export const NEIGHBOR_OFFSETS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Charge moves through conductors like the Wireworld cellular automaton: a charged cell is a "head"
+// for one frame and then a "tail" while it recovers, after which it's ready again. A ready conductor
+// next to a head (diagonals included) becomes a head itself, so pulses run along wires without
+// flowing backwards. Liquids recover slowly so a pulse can't find its way back through a sloshing pool.
+// Charge moves with the pixel when it swaps places (see trackCharge()).
+// cellCharges holds 0 for ready cells, CHARGE_HEAD for heads and the frames left to recover for tails.
+export const CHARGE_HEAD = 255;
+
+const SCENE_FORMAT = 'sand-game-scene'; // Identifies scene files written by this game
+const SCENE_VERSION = 2;                // Bump when the scene layout changes; version 1 scenes had no states
+
+// --- Material Lookups ---
+
+/**
+ * Returns the temperature a freshly placed pixel of a material starts at.
+ * @param {number} materialType - The material type.
+ * @returns {number} Temperature in degrees Celsius.
+ */
+function getBaseTemp(materialType) {
+    const baseTemp = MATERIALS[materialType].baseTemp;
+    return baseTemp !== undefined ? baseTemp : AMBIENT_TEMP;
+}
+
+/**
+ * Returns how well a material conducts heat.
+ * @param {number} materialType - The material type.
+ * @returns {number} Conductivity between 0 (insulator) and 1.
+ */
+function getConductivity(materialType) {
+    const conductivity = MATERIALS[materialType].conductivity;
+    return conductivity !== undefined ? conductivity : DEFAULT_CONDUCTIVITY;
+}
+
+/**
+ * Checks whether a material flows like a liquid (spreads sideways to level out).
+ * @param {number} type - The material type.
+ * @returns {boolean} True for falling materials with a dispersion distance.
+ */
+function isLiquid(type) {
+    const material = MATERIALS[type];
+    return material.dispersion > 0 && material.weight >= 0;
+}
+
+/**
+ * Checks whether a moving pixel can push another pixel out of its way.
+ * Heavier materials sink through lighter liquids and gases; solids and powders can't be displaced.
+ * @param {number} moverType - The material trying to move.
+ * @param {number} targetType - The material in the cell it wants to move into.
+ * @returns {boolean} True if the two may swap places.
+ */
+function canDisplace(moverType, targetType) {
+    if (targetType === EMPTY) return true;
+    const target = MATERIALS[targetType];
+    if (target.solid || !(isLiquid(targetType) || target.weight < 0)) return false;
+    return target.weight < MATERIALS[moverType].weight;
+}
+
+/**
+ * Checks whether a contact reaction rule applies to a neighboring material.
+ * @param {Object} rule - The reaction rule from a material's 'reactions' list.
+ * @param {number} neighborType - The material type of the touching pixel.
+ * @returns {boolean} True if the rule matches the neighbor.
+ */
+function ruleMatches(rule, neighborType) {
+    if (rule.with === ANY) {
+        return neighborType !== EMPTY && !(rule.except && rule.except.includes(neighborType));
+    }
+    if (Array.isArray(rule.with)) {
+        return rule.with.includes(neighborType);
+    }
+    return rule.with === neighborType;
+}
+
+/**
+ * Checks whether a pixel's temperature lets a reaction rule fire.
+ * @param {Object} rule - The reaction rule from a material's 'reactions' list.
+ * @param {number} temp - Temperature of the reacting pixel.
+ * @returns {boolean} True if the rule has no temperature limits or the pixel is within them.
+ */
+function ruleTempMatches(rule, temp) {
+    if (rule.minTemp !== undefined && temp < rule.minTemp) return false;
+    if (rule.maxTemp !== undefined && temp >= rule.maxTemp) return false;
+    return true;
+}
+
+/**
+ * @param {number} type - The material type.
+ * @returns {number} How strong a blast has to be to break the material (0 for loose materials).
+ */
+function getBlastResistance(type) {
+    const material = MATERIALS[type];
+    if (!material.solid) return 0;
+    return material.blastResistance !== undefined ? material.blastResistance : DEFAULT_BLAST_RESISTANCE;
+}
+
+/**
+ * A grid of pixels and everything that happens to them.
+ * Each cell's contents are kept in flat typed arrays indexed by (y * width + x).
+ * Worlds are independent of each other and of the page, so any number of them can be simulated side by side.
+ */
+export class World {
+    /**
+     * Creates an empty world.
+     * @param {number} width - Width in cells.
+     * @param {number} height - Height in cells.
+     * @param {number} [randomSeed] - Seed for the world's random number generator; a random one if omitted.
+     */
+    constructor(width, height, randomSeed = createRandomSeed()) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+            throw new Error(`Invalid world size ${width}x${height}`);
+        }
+        checkMaterialRegistry(); // Fail early if a reserved material was never defined
+
+        this.width = width;
+        this.height = height;
+        const cellCount = width * height;
+        this.cellTypes = new Uint8Array(cellCount);    // Material type of each cell
+        this.cellColors = new Uint32Array(cellCount);  // Packed pixel color of each cell, ready to copy into ImageData
+        this.cellSeeds = new Uint8Array(cellCount);    // Index into the material's palette the color was picked from
+        this.cellFlags = new Uint8Array(cellCount);    // Per-cell bit flags, cleared at the start of every frame
+        this.cellTemps = new Float32Array(cellCount);  // Temperature of each cell
+        this.nextTemps = new Float32Array(cellCount);  // Back buffer for heat diffusion, swapped with cellTemps
+        this.cellVelX = new Float32Array(cellCount);   // Horizontal velocity of each cell (positive is right)
+        this.cellVelY = new Float32Array(cellCount);   // Vertical velocity of each cell (positive is down)
+        this.cellCharges = new Uint8Array(cellCount);  // Electric charge of each cell (see the Electricity section)
+        this.cellStates = new Uint16Array(cellCount);  // Material-specific state, e.g. the water a plant holds or what a Cloner copies
+
+        this.tilesX = Math.ceil(width / RENDER_TILE_SIZE); // Number of render tiles across and down
+        this.tilesY = Math.ceil(height / RENDER_TILE_SIZE);
+        this.dirtyTiles = new Uint8Array(this.tilesX * this.tilesY); // 1 for tiles that changed since the last draw
+
+        this.chunksX = Math.ceil(width / CHUNK_SIZE); // Number of chunks across and down
+        this.chunksY = Math.ceil(height / CHUNK_SIZE);
+        this.chunkActive = new Uint8Array(this.chunksX * this.chunksY);     // Chunks simulated during the current frame
+        this.chunkActiveNext = new Uint8Array(this.chunksX * this.chunksY); // Chunks that will be simulated next frame
+
+        // Magnets are summed up per chunk: a particle is pulled towards the center of the magnet pixels in each chunk,
+        // as if they were all there, so the cost per particle depends on the number of chunks with magnets rather
+        // than on the number of magnet pixels. The counts are kept up to date by set().
+        this.chunkMagnetCount = new Uint16Array(this.chunksX * this.chunksY); // Magnet pixels in each chunk
+        this.chunkMagnetSumX = new Float64Array(this.chunksX * this.chunksY); // Sum of their X coordinates
+        this.chunkMagnetSumY = new Float64Array(this.chunksX * this.chunksY); // Sum of their Y coordinates
+        this.magnetSources = null;      // Cached list of { x, y, count } for chunks with magnets; null when out of date
+
+        this.pendingDetonations = [];   // Cell indices of explosives caught in a blast, detonated next frame
+        this.chargeHeads = [];          // Indices of cells that are heads, so only charged cells are visited
+        this.chargeTails = new Set();   // Indices of cells that are tails
+        this.frameCount = 0;            // Frames simulated so far; also alternates the horizontal iteration direction
+
+        this.seedRandom(randomSeed);
+        this.clear();
+    }
+
+    /**
+     * Creates a world the size of a saved scene and loads the scene into it.
+     * @param {Object} scene - A scene as produced by serialize().
+     * @param {number} [randomSeed] - Seed for the world's random number generator; a random one if omitted.
+     * @returns {World} The new world.
+     * @throws {Error} If the scene can't be read (see parseScene()).
+     */
+    static fromScene(scene, randomSeed) {
+        const decoded = parseScene(scene);
+        const world = new World(decoded.width, decoded.height, randomSeed);
+        world.load(decoded, 'center');
+        return world;
+    }
+
+    /**
+     * Restarts the random number generator behind all of the world's randomness.
+     * The same scene, seed and inputs always play out the same way.
+     * @param {number} seed - 32-bit integer seed.
+     */
+    seedRandom(seed) {
+        this.randomSeed = seed >>> 0;
+        this.random = createRandom(this.randomSeed); // Returns a number in [0, 1), like Math.random()
+    }
+
+    /**
+     * Empties the world: every cell becomes EMPTY at ambient temperature.
+     */
+    clear() {
+        this.cellTypes.fill(EMPTY);
+        this.cellColors.fill(EMPTY_COLOR);
+        this.cellSeeds.fill(0);
+        this.cellFlags.fill(0);
+        this.cellTemps.fill(AMBIENT_TEMP);
+        this.cellVelX.fill(0);
+        this.cellVelY.fill(0);
+        this.cellCharges.fill(0);
+        this.cellStates.fill(0);
+        this.chunkMagnetCount.fill(0);
+        this.chunkMagnetSumX.fill(0);
+        this.chunkMagnetSumY.fill(0);
+        this.magnetSources = null;
+        this.pendingDetonations = [];
+        this.chargeHeads = [];
+        this.chargeTails.clear();
+        this.markAllDirty();
+        this.chunkActiveNext.fill(1);
+    }
+
+    /**
+     * Advances the simulation: reactions, heat and movement.
+     * @param {number} [frames=1] - Number of frames to simulate.
+     */
+    step(frames = 1) {
+        for (let frame = 0; frame < frames; frame++) {
+            this.cellFlags.fill(0); // Every cell may move and react again this frame
+            this.advanceChunks();   // Simulate only the chunks woken since the last frame
+
+            this.updateExplosions(); // Set off explosives caught in last frame's blasts
+            this.updateReactions(); // Let touching materials react
+            this.updateElectricity(); // Move electric pulses along conductors
+            this.updateBehaviors(); // Grow plants, run Cloners and other per-material behavior
+            this.updateTemperature(); // Conduct heat and melt, freeze or boil materials
+            this.updatePhysics(); // Apply sand physics
+        }
+    }
+
+    // --- Cells ---
+
+    /**
+     * Checks whether grid coordinates are inside the grid.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @returns {boolean} True if the coordinates are within bounds.
+     */
+    inBounds(gx, gy) {
+        return gx >= 0 && gx < this.width && gy >= 0 && gy < this.height;
+    }
+
+    /**
+     * Reads the material type at grid coordinates.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @returns {number} The material type, or EMPTY if out of bounds.
+     */
+    get(gx, gy) {
+        return this.inBounds(gx, gy) ? this.cellTypes[gy * this.width + gx] : EMPTY;
+    }
+
+    /**
+     * Sets the material of a specific pixel in the grid.
+     * Ensures coordinates are within bounds.
+     * Picks a random color for the pixel from the material's precomputed palette.
+     * The pixel starts at the material's base temperature, at rest, without charge and with a cleared state.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @param {number} materialType - The material type (EMPTY, SAND, SOLID, etc.).
+     * @param {number} [seed] - Palette index to use instead of a random one (e.g. from a saved scene).
+     */
+    set(gx, gy, materialType, seed = getRandomInt(this.random, 0, PALETTE_SIZE - 1)) {
+        if (this.inBounds(gx, gy)) {
+            const i = gy * this.width + gx;
+
+            if (MATERIALS[this.cellTypes[i]].magnetic) this.updateMagnetSums(gx, gy, -1);
+            if (MATERIALS[materialType].magnetic) this.updateMagnetSums(gx, gy, 1);
+            this.cellTypes[i] = materialType;
+            this.cellSeeds[i] = seed;
+            this.cellColors[i] = materialPalettes[materialType][seed];
+            this.cellTemps[i] = getBaseTemp(materialType);
+            this.cellVelX[i] = 0;
+            this.cellVelY[i] = 0;
+            this.cellCharges[i] = 0;
+            this.cellStates[i] = 0;
+            this.markDirty(i);
+        }
+    }
+
+    /**
+     * Fills a rectangle of cells with a material. Corners may be given in any order
+     * and the parts of the rectangle outside the grid are ignored.
+     * @param {number} x0 - Grid X coordinate of one corner.
+     * @param {number} y0 - Grid Y coordinate of one corner.
+     * @param {number} x1 - Grid X coordinate of the opposite corner.
+     * @param {number} y1 - Grid Y coordinate of the opposite corner.
+     * @param {number} materialType - The material type.
+     */
+    fill(x0, y0, x1, y1, materialType) {
+        for (let y = Math.max(Math.min(y0, y1), 0); y <= Math.min(Math.max(y0, y1), this.height - 1); y++) {
+            for (let x = Math.max(Math.min(x0, x1), 0); x <= Math.min(Math.max(x0, x1), this.width - 1); x++) {
+                this.set(x, y, materialType);
+            }
+        }
+    }
+
+    /**
+     * Heats or cools a single pixel without changing its material.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @param {number} delta - Degrees to add (negative to cool).
+     */
+    changeTemperature(gx, gy, delta) {
+        if (this.inBounds(gx, gy)) {
+            const i = gy * this.width + gx;
+            this.cellTemps[i] = Math.max(this.cellTemps[i] + delta, ABSOLUTE_ZERO);
+            this.markDirty(i);
+        }
+    }
+
+    /**
+     * Overrides the color a single pixel is drawn with, e.g. to keep the colors of an imported image.
+     * The color moves with the pixel and lasts until its material changes; scenes don't save it.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @param {number} color - The packed pixel (0xAABBGGRR), see rgbToPixel().
+     */
+    setColor(gx, gy, color) {
+        if (this.inBounds(gx, gy)) {
+            const i = gy * this.width + gx;
+            this.cellColors[i] = color;
+            this.markDirty(i);
+        }
+    }
+
+    /**
+     * Describes a single pixel, e.g. for a hover readout or to check a scripted scene.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @returns {{x: number, y: number, type: number, name: string, temp: number, velX: number, velY: number,
+     *     charge: number, state: (string|null)}|null} The pixel, or null if out of bounds. 'charge' is as in
+     *     cellCharges and 'state' comes from the material's describeState, if it has one.
+     */
+    inspect(gx, gy) {
+        if (!this.inBounds(gx, gy)) return null;
+        const i = gy * this.width + gx;
+        const material = MATERIALS[this.cellTypes[i]];
+        return {
+            x: gx,
+            y: gy,
+            type: this.cellTypes[i],
+            name: material.name,
+            temp: this.cellTemps[i],
+            velX: this.cellVelX[i],
+            velY: this.cellVelY[i],
+            charge: this.cellCharges[i],
+            state: material.describeState ? material.describeState(this.cellStates[i]) : null
+        };
+    }
+
+    /**
+     * Counts the pixels of every material, e.g. to check whether a reaction conserves material.
+     * @returns {Uint32Array} Number of pixels indexed by material type.
+     */
+    countMaterials() {
+        const counts = new Uint32Array(MAX_MATERIALS);
+        for (let i = 0; i < this.cellTypes.length; i++) {
+            counts[this.cellTypes[i]]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Swaps everything stored for two cells.
+     * @param {number} a - Index of the first cell.
+     * @param {number} b - Index of the second cell.
+     */
+    swapCells(a, b) {
+        const type = this.cellTypes[a]; this.cellTypes[a] = this.cellTypes[b]; this.cellTypes[b] = type;
+        const color = this.cellColors[a]; this.cellColors[a] = this.cellColors[b]; this.cellColors[b] = color;
+        const seed = this.cellSeeds[a]; this.cellSeeds[a] = this.cellSeeds[b]; this.cellSeeds[b] = seed;
+        const flags = this.cellFlags[a]; this.cellFlags[a] = this.cellFlags[b]; this.cellFlags[b] = flags;
+        const temp = this.cellTemps[a]; this.cellTemps[a] = this.cellTemps[b]; this.cellTemps[b] = temp;
+        const velX = this.cellVelX[a]; this.cellVelX[a] = this.cellVelX[b]; this.cellVelX[b] = velX;
+        const velY = this.cellVelY[a]; this.cellVelY[a] = this.cellVelY[b]; this.cellVelY[b] = velY;
+        const state = this.cellStates[a]; this.cellStates[a] = this.cellStates[b]; this.cellStates[b] = state;
+        if (this.cellCharges[a] | this.cellCharges[b]) { // Rare, so only then pay for the pulse bookkeeping
+            const charge = this.cellCharges[a]; this.cellCharges[a] = this.cellCharges[b]; this.cellCharges[b] = charge;
+            this.trackCharge(a);
+            this.trackCharge(b);
+        }
+        this.markDirty(a);
+        this.markDirty(b);
+    }
+
+    /**
+     * Marks a cell as changed: its render tile needs a redraw and its chunk
+     * (and any neighboring chunk it borders) must be simulated next frame.
+     * @param {number} i - Index of the cell.
+     */
+    markDirty(i) {
+        const y = (i / this.width) | 0;
+        const x = i - y * this.width;
+        this.dirtyTiles[((y / RENDER_TILE_SIZE) | 0) * this.tilesX + ((x / RENDER_TILE_SIZE) | 0)] = 1;
+        this.wakeCell(x, y);
+    }
+
+    /**
+     * Marks the whole grid as needing a redraw (e.g. after clearing or switching views).
+     */
+    markAllDirty() {
+        this.dirtyTiles.fill(1);
+    }
+
+    // --- Chunks ---
+
+    /**
+     * Wakes the chunk containing a cell for the next frame, plus any chunk
+     * across a border the cell touches, since its neighbors there may now move too.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     */
+    wakeCell(x, y) {
+        const cx0 = (Math.max(x - 1, 0) / CHUNK_SIZE) | 0;
+        const cx1 = (Math.min(x + 1, this.width - 1) / CHUNK_SIZE) | 0;
+        const cy0 = (Math.max(y - 1, 0) / CHUNK_SIZE) | 0;
+        const cy1 = (Math.min(y + 1, this.height - 1) / CHUNK_SIZE) | 0;
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                this.chunkActiveNext[cy * this.chunksX + cx] = 1;
+            }
+        }
+    }
+
+    /**
+     * Wakes every chunk overlapping a rectangle of cells for the next frame.
+     * @param {number} x0 - Left grid X coordinate.
+     * @param {number} y0 - Top grid Y coordinate.
+     * @param {number} x1 - Right grid X coordinate.
+     * @param {number} y1 - Bottom grid Y coordinate.
+     */
+    wakeArea(x0, y0, x1, y1) {
+        const cx0 = (Math.max(x0, 0) / CHUNK_SIZE) | 0;
+        const cx1 = (Math.min(x1, this.width - 1) / CHUNK_SIZE) | 0;
+        const cy0 = (Math.max(y0, 0) / CHUNK_SIZE) | 0;
+        const cy1 = (Math.min(y1, this.height - 1) / CHUNK_SIZE) | 0;
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                this.chunkActiveNext[cy * this.chunksX + cx] = 1;
+            }
+        }
+    }
+
+    /**
+     * Keeps the chunk containing a cell awake for the next frame, e.g. while a
+     * reaction there is waiting for its chance to fire.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     */
+    keepChunkAwake(x, y) {
+        this.chunkActiveNext[((y / CHUNK_SIZE) | 0) * this.chunksX + ((x / CHUNK_SIZE) | 0)] = 1;
+    }
+
+    /**
+     * Checks whether the chunk containing a cell is simulated this frame.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @returns {boolean} True if the chunk is awake.
+     */
+    isChunkActive(x, y) {
+        return this.chunkActive[((y / CHUNK_SIZE) | 0) * this.chunksX + ((x / CHUNK_SIZE) | 0)] === 1;
+    }
+
+    /**
+     * Returns the X coordinate just past the end of the chunk containing x,
+     * used to skip over a sleeping chunk in one step.
+     * @param {number} x - Grid X coordinate.
+     * @returns {number} The first X coordinate of the next chunk (or the width of the grid).
+     */
+    chunkEndX(x) {
+        return Math.min((((x / CHUNK_SIZE) | 0) + 1) * CHUNK_SIZE, this.width);
+    }
+
+    /**
+     * Makes the chunks woken since the last frame the active set for this frame.
+     */
+    advanceChunks() {
+        const previous = this.chunkActive;
+        this.chunkActive = this.chunkActiveNext;
+        this.chunkActiveNext = previous;
+        this.chunkActiveNext.fill(0);
+    }
+
+    // --- Sand Physics Logic ---
+
+    /**
+     * Checks whether a moving pixel may enter a cell this frame.
+     * Empty cells are always free; lighter liquids and gases give way with a chance that grows
+     * with the difference in weight, so sand sinks through water faster than oil rises through it.
+     * @param {number} moverType - The material trying to move.
+     * @param {number} gx - Grid X coordinate of the target cell.
+     * @param {number} gy - Grid Y coordinate of the target cell.
+     * @returns {boolean} True if the pixel can move into the cell.
+     */
+    canEnter(moverType, gx, gy) {
+        if (!this.inBounds(gx, gy)) return false;
+        const targetType = this.cellTypes[gy * this.width + gx];
+        if (targetType === EMPTY) return true;
+        if (!canDisplace(moverType, targetType)) return false;
+        if (this.random() < (MATERIALS[moverType].weight - MATERIALS[targetType].weight) * DISPLACE_RATE) return true;
+        this.keepChunkAwake(gx, gy); // Try again next frame even if nothing else moves nearby
+        return false;
+    }
+
+    /**
+     * Checks whether a self-sticky pixel (e.g. Glue) is held in place by what's below it
+     * or by a supported neighbor of the same material.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} type - The pixel's material type.
+     * @returns {boolean} True if the pixel shouldn't fall.
+     */
+    isStuck(x, y, type) {
+        if (y + 1 >= this.height) return false;
+        // Check directly below
+        if (this.get(x, y + 1) !== EMPTY) return true;
+        // Check left and right neighbors for self-sticky support
+        if (x > 0 && this.get(x - 1, y) === type && this.get(x - 1, y + 1) !== EMPTY) return true;
+        if (x < this.width - 1 && this.get(x + 1, y) === type && this.get(x + 1, y + 1) !== EMPTY) return true;
+        return false;
+    }
+
+    /**
+     * Returns how strongly the pixel at grid coordinates bounces things that hit it.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @returns {number} The material's restitution, or 0 for the grid edges and materials without one.
+     */
+    getRestitution(gx, gy) {
+        if (!this.inBounds(gx, gy)) return 0;
+        return MATERIALS[this.cellTypes[gy * this.width + gx]].restitution || 0;
+    }
+
+    /**
+     * Moves a falling pixel along its velocity, one cell at a time so it can't pass through obstacles.
+     * Gravity speeds it up every frame. Landing turns its downward speed into sideways spread
+     * (or bounces it back up off a surface with a restitution), and friction slows it down again.
+     * Only the first cell of the path may be a liquid or gas to sink into, which also slows the pixel.
+     * The pixel's stored velocity is updated in place.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} type - The pixel's material type.
+     * @returns {number} Index of the cell the pixel ends up in, or -1 if it didn't move.
+     */
+    followVelocity(x, y, type) {
+        const i = y * this.width + x;
+        let velX = this.cellVelX[i];
+        let velY = Math.min(this.cellVelY[i] + GRAVITY, MAX_FALL_SPEED);
+
+        // Falling pixels move at least one cell so they don't hover while picking up speed
+        const stepsY = velY > 0 ? Math.max(1, Math.round(velY)) : Math.round(-velY);
+        const stepsX = Math.round(Math.abs(velX));
+        const dirY = Math.sign(velY);
+        const dirX = Math.sign(velX);
+        let cx = x, cy = y;
+        let blockedX = stepsX === 0;
+        let blockedY = stepsY === 0;
+        let landed = false;
+
+        // Alternate vertical and horizontal steps so diagonal paths are followed cell by cell
+        for (let s = 0; s < Math.max(stepsX, stepsY) && !(blockedX && blockedY); s++) {
+            if (s < stepsY && !blockedY) {
+                const ny = cy + dirY;
+                if (this.inBounds(cx, ny) && this.cellTypes[ny * this.width + cx] === EMPTY) {
+                    cy = ny;
+                } else if (dirY > 0 && s === 0 && this.canEnter(type, cx, ny)) {
+                    cy = ny; // Sinks into a lighter liquid or gas, which ends the move
+                    velX *= DRAG;
+                    velY *= DRAG;
+                    break;
+                } else {
+                    const restitution = this.getRestitution(cx, ny);
+                    if (dirY > 0 && (restitution === 0 || velY < MIN_BOUNCE_SPEED)) {
+                        // Landed: a hard landing splashes or scatters sideways
+                        if (velY >= MIN_BOUNCE_SPEED) {
+                            const direction = velX !== 0 ? Math.sign(velX) : (this.random() < 0.5 ? -1 : 1);
+                            velX += direction * velY * IMPACT_SPREAD * (1 - Math.min(MATERIALS[type].stickiness, 1));
+                        }
+                        velY = 0;
+                        landed = true;
+                    } else {
+                        velY = -velY * restitution; // Bounces back, or stops against a ceiling
+                    }
+                    blockedY = true;
+                }
+            }
+            if (s < stepsX && !blockedX) {
+                const nx = cx + dirX;
+                if (this.inBounds(nx, cy) && this.cellTypes[cy * this.width + nx] === EMPTY) {
+                    cx = nx;
+                } else {
+                    velX = -velX * this.getRestitution(nx, cy);
+                    blockedX = true;
+                }
+            }
+        }
+
+        if (landed) velX *= GROUND_FRICTION;
+        if (Math.abs(velX) < 0.5) velX = 0; // Too slow to move another cell
+        this.cellVelX[i] = velX;
+        this.cellVelY[i] = velY;
+
+        if (cx === x && cy === y) {
+            if (velX !== 0 || velY < 0) this.keepChunkAwake(x, y); // Still in flight, e.g. at the top of a bounce
+            return -1;
+        }
+        return cy * this.width + cx;
+    }
+
+    /**
+     * Finds where a falling pixel (powder or liquid) moves: along its velocity, then diagonally down.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} type - The pixel's material type.
+     * @returns {number} Index of the target cell, or -1 if the pixel can't fall.
+     */
+    findFallTarget(x, y, type) {
+        const material = MATERIALS[type];
+
+        // 1. Fly or fall along the pixel's velocity (gravity)
+        const target = this.followVelocity(x, y, type);
+        if (target >= 0) return target;
+
+        // 2. Try to move diagonally down, alternating the check order to prevent horizontal bias
+        const checkOrder = (this.frameCount % 2 === 0) ? [-1, 1] : [1, -1]; // dx: -1 for left, 1 for right
+        for (const dx of checkOrder) {
+            const newX = x + dx;
+            // Apply stickiness rule:
+            // If stickiness is 0 (water-like), it can flow even if the side cell is occupied.
+            // If stickiness > 0 (sand-like), the side cell has to be passable to flow diagonally.
+            if (material.stickiness !== 0 && !(this.inBounds(newX, y) && canDisplace(type, this.get(newX, y)))) continue;
+            if (this.canEnter(type, newX, y + 1)) {
+                return (y + 1) * this.width + newX;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Finds where a liquid that can't fall spreads sideways, up to its dispersion distance.
+     * It stops early above a drop so pools fill gaps and level out instead of stacking into slopes.
+     * Gases spread the same way under a ceiling, stopping early below an opening.
+     * Stickiness acts as viscosity: the chance of flowing at all in a given frame is (1 - stickiness).
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} type - The pixel's material type.
+     * @param {number} [gravity=1] - 1 for materials that fall, -1 for gases that rise.
+     * @returns {number} Index of the target cell, or -1 if the pixel stays put.
+     */
+    findFlowTarget(x, y, type, gravity = 1) {
+        const material = MATERIALS[type];
+        if (this.random() < material.stickiness) {
+            // Viscous liquids flow less often; stay awake if there was somewhere to go
+            if ((this.inBounds(x - 1, y) && this.get(x - 1, y) === EMPTY) || (this.inBounds(x + 1, y) && this.get(x + 1, y) === EMPTY)) {
+                this.keepChunkAwake(x, y);
+            }
+            return -1;
+        }
+
+        const firstDirection = this.random() < 0.5 ? -1 : 1;
+        for (const direction of [firstDirection, -firstDirection]) {
+            let distance = 0;
+            for (let k = 1; k <= material.dispersion; k++) {
+                const nx = x + k * direction;
+                if (!this.inBounds(nx, y) || this.get(nx, y) !== EMPTY) break; // Blocked
+                distance = k;
+                if (this.inBounds(nx, y + gravity) && this.get(nx, y + gravity) === EMPTY) break; // Found a drop (or opening)
+            }
+            if (distance > 0) {
+                return y * this.width + x + distance * direction;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Checks whether a rising gas may enter a cell this frame.
+     * Empty cells are always free; a lighter gas bubbles up through a heavier one
+     * with a chance that grows with the difference in weight.
+     * @param {number} moverType - The gas trying to rise.
+     * @param {number} gx - Grid X coordinate of the target cell.
+     * @param {number} gy - Grid Y coordinate of the target cell.
+     * @returns {boolean} True if the gas can move into the cell.
+     */
+    canRiseInto(moverType, gx, gy) {
+        if (!this.inBounds(gx, gy)) return false;
+        const targetType = this.cellTypes[gy * this.width + gx];
+        if (targetType === EMPTY) return true;
+        const target = MATERIALS[targetType];
+        if (target.solid || target.weight >= 0 || target.weight <= MATERIALS[moverType].weight) return false;
+        if (this.random() < (target.weight - MATERIALS[moverType].weight) * DISPLACE_RATE) return true;
+        this.keepChunkAwake(gx, gy); // Try again next frame even if nothing else moves nearby
+        return false;
+    }
+
+    /**
+     * Finds where a gas (negative weight) floats: up, faster for lighter gases, drifting randomly
+     * sideways as it goes. A gas that can't rise spreads out under the ceiling instead, so gases
+     * pool at the top of enclosed spaces and fill them from there downwards.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} type - The pixel's material type.
+     * @returns {number} Index of the target cell, or -1 if the gas stays put.
+     */
+    findGasTarget(x, y, type) {
+        // 1. Rise. Negative weight is scaled to cells per frame; a fractional part is the chance
+        // of rising one more cell, so slow gases like smoke still move.
+        const speed = Math.abs(MATERIALS[type].weight * 10);
+        const steps = Math.floor(speed) + (this.random() < speed % 1 ? 1 : 0);
+        let floatDistance = 0;
+        for (let j = 1; j <= steps; j++) {
+            if (this.canRiseInto(type, x, y - j)) {
+                floatDistance = j;
+            } else {
+                break;
+            }
+            if (this.get(x, y - j) !== EMPTY) break; // Swapping with a heavier gas ends the move
+        }
+
+        // 2. Drift one cell sideways at random, like a light breeze
+        const ty = y - floatDistance;
+        const drift = getRandomInt(this.random, -1, 1);
+        if (drift !== 0 && this.inBounds(x + drift, ty) && this.get(x + drift, ty) === EMPTY) {
+            return ty * this.width + x + drift;
+        }
+        if (floatDistance > 0) return ty * this.width + x;
+
+        // 3. Blocked above: spread out under the ceiling
+        return this.findFlowTarget(x, y, type, -1);
+    }
+
+    /**
+     * Updates the position of moving pixels based on gravity, buoyancy and collision rules.
+     * Iterates from bottom-up to ensure correct falling behavior.
+     * Alternates horizontal iteration direction to prevent bias in spreading.
+     * Works in place: pixels that already moved this frame carry FLAG_UPDATED so they aren't moved twice.
+     * Sleeping chunks are skipped entirely.
+     */
+    updatePhysics() {
+        // Determine horizontal iteration direction based on frame count
+        const startX = (this.frameCount % 2 === 0) ? 0 : this.width - 1;
+        const endX = (this.frameCount % 2 === 0) ? this.width : -1;
+        const stepX = (this.frameCount % 2 === 0) ? 1 : -1;
+
+        // Iterate through the grid from bottom to top
+        for (let y = this.height - 1; y >= 0; y--) {
+            for (let x = startX; x !== endX; x += stepX) {
+                // Jump to the edge of a sleeping chunk; the loop step then enters the next chunk
+                if (!this.isChunkActive(x, y)) {
+                    x = (stepX > 0) ? this.chunkEndX(x) - 1 : ((x / CHUNK_SIZE) | 0) * CHUNK_SIZE;
+                    continue;
+                }
+
+                const i = y * this.width + x;
+                const type = this.cellTypes[i];
+
+                // Skip pixels that were already moved into this cell during this frame
+                if (this.cellFlags[i] & FLAG_UPDATED) continue;
+
+                // Only apply physics to materials that are not EMPTY or SOLID (immovable)
+                if (type === EMPTY || MATERIALS[type].solid) continue;
+
+                const material = MATERIALS[type];
+                let target;
+
+                if (material.weight < 0) {
+                    target = this.findGasTarget(x, y, type);
+                } else {
+                    // Self-sticky materials (e.g. Glue) hang on to what supports them
+                    if (material.selfSticky && this.isStuck(x, y, type)) continue;
+
+                    if (material.ferrous && this.applyMagnetism(x, y)) {
+                        target = this.followVelocity(x, y, type); // Held by a magnet rather than sliding down piles
+                    } else {
+                        target = this.findFallTarget(x, y, type);
+                        if (target < 0 && isLiquid(type)) {
+                            target = this.findFlowTarget(x, y, type);
+                        }
+                    }
+                }
+
+                // Apply the movement by swapping with the target cell. Both pixels count as moved,
+                // so a displaced liquid or gas isn't moved again this frame. Each pixel carries its own temperature.
+                if (target >= 0) {
+                    this.swapCells(i, target);
+                    this.cellFlags[i] |= FLAG_UPDATED;
+                    this.cellFlags[target] |= FLAG_UPDATED;
+                }
+            }
+        }
+        this.frameCount++; // Increment frame count for alternating direction
+    }
+
+    // --- Reaction Logic ---
+
+    /**
+     * Applies the outcome of a reaction rule to a pixel and (optionally) its neighbor.
+     * @param {Object} rule - The reaction rule that fired.
+     * @param {number} x - Grid X coordinate of the reacting pixel.
+     * @param {number} y - Grid Y coordinate of the reacting pixel.
+     * @param {number} nx - Grid X coordinate of the neighbor (ignored for spontaneous rules).
+     * @param {number} ny - Grid Y coordinate of the neighbor (ignored for spontaneous rules).
+     */
+    applyReaction(rule, x, y, nx, ny) {
+        if (rule.explodes) {
+            this.detonate(x, y);
+            return;
+        }
+        if (rule.becomes !== undefined) {
+            this.set(x, y, rule.becomes);
+        }
+        if (rule.neighborBecomes !== undefined) {
+            this.set(nx, ny, rule.neighborBecomes);
+        }
+        if (rule.electrifies) {
+            this.chargeCell(nx, ny);
+        }
+    }
+
+    /**
+     * Runs the reaction rules declared in MATERIALS for every pixel.
+     * Each pixel takes part in at most one reaction per frame (tracked with FLAG_REACTED),
+     * so changes can't chain across the whole grid in a single update.
+     * A pixel that could react but didn't win its chance keeps its chunk awake.
+     */
+    updateReactions() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (!this.isChunkActive(x, y)) {
+                    x = this.chunkEndX(x) - 1; // Skip the rest of a sleeping chunk
+                    continue;
+                }
+
+                const i = y * this.width + x;
+                const reactions = MATERIALS[this.cellTypes[i]].reactions;
+                if (!reactions || (this.cellFlags[i] & FLAG_REACTED)) continue;
+
+                let fired = false;
+                let pending = false; // A rule matched but its chance didn't come up
+
+                // 1. Contact reactions, checking neighbors from a random starting side to avoid bias
+                const startSide = getRandomInt(this.random, 0, NEIGHBOR_OFFSETS.length - 1);
+                for (let side = 0; side < NEIGHBOR_OFFSETS.length && !fired; side++) {
+                    const [dx, dy] = NEIGHBOR_OFFSETS[(startSide + side) % NEIGHBOR_OFFSETS.length];
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (!this.inBounds(nx, ny)) continue;
+
+                    const n = ny * this.width + nx;
+                    if (this.cellFlags[n] & FLAG_REACTED) continue;
+
+                    const neighborType = this.cellTypes[n];
+                    for (const rule of reactions) {
+                        if (rule.with === undefined || !ruleMatches(rule, neighborType)) continue;
+                        if (!ruleTempMatches(rule, this.cellTemps[i])) continue;
+                        if (this.random() < rule.chance) {
+                            this.applyReaction(rule, x, y, nx, ny);
+                            this.cellFlags[n] |= FLAG_REACTED;
+                            fired = true;
+                            break;
+                        }
+                        pending = true;
+                    }
+                }
+
+                // 2. Spontaneous reactions (rules without a 'with' material)
+                if (!fired) {
+                    for (const rule of reactions) {
+                        if (rule.with !== undefined || !ruleTempMatches(rule, this.cellTemps[i])) continue;
+                        if (this.random() < rule.chance) {
+                            this.applyReaction(rule, x, y);
+                            fired = true;
+                            break;
+                        }
+                        pending = true;
+                    }
+                }
+
+                if (fired) {
+                    this.cellFlags[i] |= FLAG_REACTED;
+                } else if (pending) {
+                    this.keepChunkAwake(x, y);
+                }
+            }
+        }
+    }
+
+    // --- Explosions ---
+
+    /**
+     * Detonates the explosive pixel at grid coordinates together with the explosive connected to it.
+     * The blast is centered on the connected mass and its radius grows with the square root of its size.
+     * Rays are cast outwards from the center; each cell they reach takes a blast that weakens with distance.
+     * Solids break (or shatter) if the blast beats their resistance and otherwise absorb it, shielding
+     * what's behind them. Loose pixels are thrown outwards, open space fills with fire and smoke,
+     * and other explosives caught in the blast go off next frame.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     */
+    detonate(x, y) {
+        const type = this.get(x, y);
+        const material = MATERIALS[type];
+        if (!material.blastRadius) return;
+
+        // 1. Consume the connected explosive, clearing each cell as it's found so it isn't counted twice
+        const stack = [y * this.width + x];
+        this.cellTypes[stack[0]] = EMPTY;
+        let count = 0, sumX = 0, sumY = 0;
+        while (stack.length > 0 && count < MAX_BLAST_CELLS) {
+            const i = stack.pop();
+            const cx = i % this.width;
+            const cy = (i - cx) / this.width;
+            this.set(cx, cy, EMPTY);
+            count++;
+            sumX += cx;
+            sumY += cy;
+            for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+                if (this.get(cx + dx, cy + dy) !== type) continue;
+                const n = (cy + dy) * this.width + cx + dx;
+                this.cellTypes[n] = EMPTY;
+                stack.push(n);
+            }
+        }
+        for (const i of stack) {
+            this.cellTypes[i] = type; // Over the limit: left to go off in the chain reaction
+            this.pendingDetonations.push(i);
+        }
+
+        // 2. Cast rays outwards from the center of the blast
+        const centerX = sumX / count;
+        const centerY = sumY / count;
+        const radius = Math.min(MAX_BLAST_RADIUS, material.blastRadius * Math.sqrt(count));
+        const rayCount = Math.ceil(4 * Math.PI * radius); // Two rays per cell on the edge, so none are missed
+        const reached = new Set();
+        for (let r = 0; r < rayCount; r++) {
+            const angle = (r / rayCount) * 2 * Math.PI;
+            const dirX = Math.cos(angle);
+            const dirY = Math.sin(angle);
+            let power = 1;
+            for (let d = 0; d <= radius && power > 0; d++) {
+                const gx = Math.round(centerX + dirX * d);
+                const gy = Math.round(centerY + dirY * d);
+                if (!this.inBounds(gx, gy)) break;
+                const i = gy * this.width + gx;
+                if (reached.has(i)) {
+                    power -= getBlastResistance(this.cellTypes[i]); // A solid that survived another ray still blocks this one
+                    continue;
+                }
+                reached.add(i);
+                power -= this.blastCell(gx, gy, power * (1 - d / radius), dirX, dirY);
+            }
+        }
+    }
+
+    /**
+     * Applies a blast to a single cell.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     * @param {number} strength - Strength of the blast at this cell (0-1).
+     * @param {number} dirX - Horizontal direction of the blast (unit vector).
+     * @param {number} dirY - Vertical direction of the blast (unit vector).
+     * @returns {number} How much of the blast the cell absorbed.
+     */
+    blastCell(gx, gy, strength, dirX, dirY) {
+        const i = gy * this.width + gx;
+        const type = this.cellTypes[i];
+        const material = MATERIALS[type];
+
+        if (material.blastRadius) {
+            this.pendingDetonations.push(i); // Chain reaction
+            return 0;
+        }
+
+        if (type === EMPTY || (material.solid && strength > getBlastResistance(type))) {
+            if (material.shatterInto !== undefined) {
+                this.set(gx, gy, material.shatterInto);
+                this.throwPixel(i, strength, dirX, dirY);
+            } else if (this.random() < strength * 0.6) {
+                this.set(gx, gy, FIRE); // Open space fills with fire near the center...
+            } else if (this.random() < strength) {
+                this.set(gx, gy, SMOKE); // ...and smoke further out
+            } else {
+                this.set(gx, gy, EMPTY);
+            }
+            return getBlastResistance(type);
+        }
+
+        this.cellTemps[i] += strength * BLAST_HEAT;
+        if (material.solid) {
+            this.markDirty(i); // Wake the chunk so the heat spreads
+            return strength; // Holds, and stops the blast here
+        }
+        this.throwPixel(i, strength, dirX, dirY);
+        return 0;
+    }
+
+    /**
+     * Flings a loose pixel away from a blast.
+     * @param {number} i - Cell index.
+     * @param {number} strength - Strength of the blast at this cell (0-1).
+     * @param {number} dirX - Horizontal direction of the blast (unit vector).
+     * @param {number} dirY - Vertical direction of the blast (unit vector).
+     */
+    throwPixel(i, strength, dirX, dirY) {
+        const speed = strength * BLAST_FORCE;
+        this.cellVelX[i] = Math.max(-MAX_FALL_SPEED, Math.min(MAX_FALL_SPEED, this.cellVelX[i] + dirX * speed));
+        this.cellVelY[i] = Math.max(-MAX_FALL_SPEED, Math.min(MAX_FALL_SPEED, this.cellVelY[i] + dirY * speed));
+        this.markDirty(i); // Wake the chunk so the pixel starts flying
+    }
+
+    /**
+     * Detonates the explosives caught in blasts during the previous frame.
+     */
+    updateExplosions() {
+        const queue = this.pendingDetonations;
+        this.pendingDetonations = [];
+        for (const i of queue) {
+            const x = i % this.width;
+            this.detonate(x, (i - x) / this.width); // Does nothing if the pixel has already gone off
+        }
+    }
+
+    // --- Electricity ---
+
+    /**
+     * Starts a pulse in the conductor at grid coordinates, unless it's already charged.
+     * @param {number} gx - Grid X coordinate.
+     * @param {number} gy - Grid Y coordinate.
+     */
+    chargeCell(gx, gy) {
+        if (!this.inBounds(gx, gy)) return;
+        const i = gy * this.width + gx;
+        if (!MATERIALS[this.cellTypes[i]].electricalConductor || this.cellCharges[i] !== 0) return;
+        this.cellCharges[i] = CHARGE_HEAD;
+        this.chargeHeads.push(i);
+        this.markDirty(i);
+    }
+
+    /**
+     * Keeps a charged cell in the pulse lists after a pixel moved into it.
+     * Entries left behind at the old position are skipped because their charge no longer matches.
+     * @param {number} i - Cell index.
+     */
+    trackCharge(i) {
+        if (this.cellCharges[i] === CHARGE_HEAD) {
+            this.chargeHeads.push(i);
+        } else if (this.cellCharges[i] > 0) {
+            this.chargeTails.add(i);
+        }
+    }
+
+    /**
+     * Advances every pulse by one cell.
+     * Heads set fire to materials that sparkIgnites and set off explosives they touch,
+     * and charged liquids that electrolyze occasionally split into Steam or Helium.
+     */
+    updateElectricity() {
+        // 1. Heads pass the charge on to the ready conductors around them
+        const heads = this.chargeHeads;
+        this.chargeHeads = [];
+        for (const i of heads) {
+            if (this.cellCharges[i] !== CHARGE_HEAD) continue;
+            const x = i % this.width;
+            const y = (i - x) / this.width;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx === 0 && dy === 0) || !this.inBounds(x + dx, y + dy)) continue;
+                    const n = i + dy * this.width + dx;
+                    const type = this.cellTypes[n];
+                    if (MATERIALS[type].electricalConductor) {
+                        if (this.cellCharges[n] === 0) {
+                            this.cellCharges[n] = CHARGE_HEAD;
+                            this.chargeHeads.push(n);
+                            this.markDirty(n);
+                        }
+                    } else if (MATERIALS[type].blastRadius) {
+                        this.pendingDetonations.push(n);
+                    } else if (MATERIALS[type].sparkIgnites) {
+                        this.set(x + dx, y + dy, FIRE);
+                    }
+                }
+            }
+        }
+
+        // 2. Tails recover
+        for (const i of this.chargeTails) {
+            const charge = this.cellCharges[i];
+            if (charge === 0 || charge === CHARGE_HEAD) {
+                this.chargeTails.delete(i); // The tail moved away
+                continue;
+            }
+            this.cellCharges[i] = charge - 1;
+            if (charge === 1) {
+                this.chargeTails.delete(i);
+                this.markDirty(i);
+            }
+        }
+
+        // 3. The old heads become tails
+        for (const i of heads) {
+            if (this.cellCharges[i] !== CHARGE_HEAD) continue;
+            this.cellCharges[i] = MATERIALS[this.cellTypes[i]].chargeRecovery || 1;
+            this.chargeTails.add(i);
+            this.markDirty(i);
+        }
+
+        // 4. Electrolysis
+        for (const i of this.chargeHeads) {
+            if (MATERIALS[this.cellTypes[i]].electrolyzes && this.random() < ELECTROLYSIS_CHANCE) {
+                const x = i % this.width;
+                this.set(x, (i - x) / this.width, this.random() < 0.5 ? STEAM : HELIUM);
+            }
+        }
+    }
+
+    // --- Magnetism ---
+
+    /**
+     * Adds a magnet pixel to (or removes one from) its chunk's sums, and wakes everything within reach
+     * so loose particles notice the change.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @param {number} delta - 1 when a magnet was placed, -1 when one was removed.
+     */
+    updateMagnetSums(x, y, delta) {
+        const chunk = ((y / CHUNK_SIZE) | 0) * this.chunksX + ((x / CHUNK_SIZE) | 0);
+        this.chunkMagnetCount[chunk] += delta;
+        this.chunkMagnetSumX[chunk] += delta * x;
+        this.chunkMagnetSumY[chunk] += delta * y;
+        this.magnetSources = null;
+        this.wakeArea(x - MAGNET_RADIUS, y - MAGNET_RADIUS, x + MAGNET_RADIUS, y + MAGNET_RADIUS);
+    }
+
+    /**
+     * @returns {Array<Object>} The center and size of the magnet pixels in every chunk that has any.
+     */
+    getMagnetSources() {
+        if (!this.magnetSources) {
+            this.magnetSources = [];
+            for (let chunk = 0; chunk < this.chunkMagnetCount.length; chunk++) {
+                const count = this.chunkMagnetCount[chunk];
+                if (count > 0) {
+                    this.magnetSources.push({ x: this.chunkMagnetSumX[chunk] / count, y: this.chunkMagnetSumY[chunk] / count, count });
+                }
+            }
+        }
+        return this.magnetSources;
+    }
+
+    /**
+     * Adds up the pull of all magnets on a point. Each chunk's pull grows with its number of magnet pixels
+     * and falls off with the square of the distance, up to MAGNET_RADIUS.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @returns {{x: number, y: number}} The pull in cells per frame, added to a ferrous pixel's velocity.
+     */
+    getMagneticPull(x, y) {
+        const pull = { x: 0, y: 0 };
+        for (const source of this.getMagnetSources()) {
+            const dx = source.x - x;
+            const dy = source.y - y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq > MAGNET_RADIUS * MAGNET_RADIUS || distSq < 1) continue;
+            const dist = Math.sqrt(distSq);
+            const strength = Math.min(MAX_MAGNET_PULL, source.count * MAGNET_STRENGTH / distSq);
+            pull.x += dx / dist * strength;
+            pull.y += dy / dist * strength;
+        }
+        return pull;
+    }
+
+    /**
+     * Pulls a ferrous pixel towards nearby magnets by changing its velocity.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     * @returns {boolean} True if the pull is stronger than gravity, so the pixel should only follow its velocity.
+     */
+    applyMagnetism(x, y) {
+        const pull = this.getMagneticPull(x, y);
+        if (pull.x === 0 && pull.y === 0) return false;
+        const i = y * this.width + x;
+        this.cellVelX[i] = Math.max(-MAX_FALL_SPEED, Math.min(MAX_FALL_SPEED, this.cellVelX[i] + pull.x));
+        this.cellVelY[i] = Math.max(-MAX_FALL_SPEED, Math.min(MAX_FALL_SPEED, this.cellVelY[i] + pull.y));
+        return Math.hypot(pull.x, pull.y) > GRAVITY;
+    }
+
+    // --- Material Behaviors ---
+
+    /**
+     * Runs the 'update' function of every pixel whose material has one, in the active chunks.
+     * Pixels created by an update this frame carry FLAG_UPDATED and wait until the next frame.
+     */
+    updateBehaviors() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (!this.isChunkActive(x, y)) {
+                    x = this.chunkEndX(x) - 1; // Skip the rest of a sleeping chunk
+                    continue;
+                }
+                const i = y * this.width + x;
+                const update = MATERIALS[this.cellTypes[i]].update;
+                if (update && !(this.cellFlags[i] & FLAG_UPDATED)) update(this, x, y);
+            }
+        }
+    }
+
+    // --- Temperature Logic ---
+
+    /**
+     * Changes a pixel's material if its temperature crossed one of the material's
+     * melting, boiling, freezing, condensing or ignition points.
+     * The pixel keeps its temperature through the change.
+     * @param {number} x - Grid X coordinate.
+     * @param {number} y - Grid Y coordinate.
+     */
+    applyPhaseChange(x, y) {
+        const i = y * this.width + x;
+        const material = MATERIALS[this.cellTypes[i]];
+        const temp = this.cellTemps[i];
+        let newType;
+
+        if (material.detonatePoint !== undefined && temp > material.detonatePoint) {
+            this.detonate(x, y);
+            return;
+        }
+
+        if (material.meltPoint !== undefined && temp > material.meltPoint) {
+            newType = material.meltsInto;
+        } else if (material.boilPoint !== undefined && temp > material.boilPoint) {
+            newType = material.boilsInto;
+        } else if (material.freezePoint !== undefined && temp < material.freezePoint) {
+            newType = material.freezesInto;
+        } else if (material.condensePoint !== undefined && temp < material.condensePoint) {
+            newType = material.condensesInto;
+        } else if (material.ignitePoint !== undefined && temp > material.ignitePoint) {
+            newType = FIRE;
+        }
+
+        if (newType !== undefined) {
+            this.set(x, y, newType);
+            this.cellTemps[i] = temp;
+        }
+    }
+
+    /**
+     * Diffuses heat between neighboring pixels and applies phase changes.
+     * Heat flows between two neighbors at the rate of the worse conductor of the pair,
+     * so Glass or air between two hot materials slows the exchange down.
+     * Empty cells slowly return to ambient temperature so heat eventually escapes.
+     * New temperatures are written to the back buffer so the result doesn't depend on iteration order.
+     * Sleeping chunks keep their temperatures; a noticeable change wakes the chunk and its borders.
+     */
+    updateTemperature() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = y * this.width + x;
+
+                if (!this.isChunkActive(x, y)) {
+                    // Carry the sleeping span over to the back buffer unchanged
+                    const spanEnd = y * this.width + this.chunkEndX(x);
+                    this.nextTemps.set(this.cellTemps.subarray(i, spanEnd), i);
+                    x = this.chunkEndX(x) - 1;
+                    continue;
+                }
+
+                const type = this.cellTypes[i];
+                const temp = this.cellTemps[i];
+                const conductivity = getConductivity(type);
+                let heatFlow = 0;
+
+                for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (!this.inBounds(nx, ny)) continue;
+
+                    const n = ny * this.width + nx;
+                    const rate = Math.min(conductivity, getConductivity(this.cellTypes[n]));
+                    heatFlow += rate * (this.cellTemps[n] - temp);
+                }
+
+                // Dividing by the neighbor count keeps the exchange stable even for perfect conductors
+                let newTemp = temp + heatFlow / NEIGHBOR_OFFSETS.length;
+                if (type === EMPTY) {
+                    newTemp += (AMBIENT_TEMP - newTemp) * AIR_COOLING_RATE;
+                }
+                this.nextTemps[i] = newTemp;
+
+                if (Math.abs(newTemp - temp) > TEMP_SLEEP_THRESHOLD) {
+                    this.wakeCell(x, y);
+                }
+            }
+        }
+
+        // Swap the buffers so the new temperatures become current
+        const previousTemps = this.cellTemps;
+        this.cellTemps = this.nextTemps;
+        this.nextTemps = previousTemps;
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (!this.isChunkActive(x, y)) {
+                    x = this.chunkEndX(x) - 1; // Skip the rest of a sleeping chunk
+                    continue;
+                }
+                if (this.cellTypes[y * this.width + x] !== EMPTY) {
+                    this.applyPhaseChange(x, y);
+                }
+            }
+        }
+    }
+
+    // --- Saving and Loading ---
+
+    /**
+     * Serializes the grid into a versioned scene object.
+     * Each row is stored as run-length encoded [type, count, type, count, ...] pairs,
+     * and the cells with a state (see cellStates) as [cell index, state, ...] pairs.
+     * @param {boolean} includeSeeds - Whether to store each pixel's palette index so colors survive a reload.
+     * @returns {Object} The scene, ready for JSON.stringify().
+     */
+    serialize(includeSeeds) {
+        const rows = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            let runType = this.cellTypes[y * this.width];
+            let runLength = 0;
+            for (let x = 0; x < this.width; x++) {
+                const type = this.cellTypes[y * this.width + x];
+                if (type === runType) {
+                    runLength++;
+                } else {
+                    row.push(runType, runLength);
+                    runType = type;
+                    runLength = 1;
+                }
+            }
+            row.push(runType, runLength);
+            rows.push(row);
+        }
+
+        // Few cells have a state, so only those are listed
+        const states = [];
+        for (let i = 0; i < this.cellStates.length; i++) {
+            if (this.cellStates[i] !== 0) states.push(i, this.cellStates[i]);
+        }
+
+        const scene = {
+            format: SCENE_FORMAT,
+            version: SCENE_VERSION,
+            width: this.width,
+            height: this.height,
+            rows: rows,
+            states: states
+        };
+        if (includeSeeds) {
+            scene.seeds = bytesToBase64(this.cellSeeds);
+        }
+        return scene;
+    }
+
+    /**
+     * Copies the grid into a decoded scene, including temperatures, e.g. to carry it over into a world of another size.
+     * @returns {{width: number, height: number, types: Uint8Array, seeds: Uint8Array, temps: Float32Array,
+     *     states: Uint16Array}} The scene.
+     */
+    snapshot() {
+        return {
+            width: this.width,
+            height: this.height,
+            types: this.cellTypes.slice(),
+            seeds: this.cellSeeds.slice(),
+            temps: this.cellTemps.slice(),
+            states: this.cellStates.slice()
+        };
+    }
+
+    /**
+     * Replaces the grid with a decoded scene. A scene larger than the grid is cropped,
+     * a smaller one is surrounded by empty space. Pixels start at their material's base
+     * temperature unless the scene carries temperatures, and keep their states (e.g. a plant's water).
+     * @param {Object} scene - From parseScene() or snapshot().
+     * @param {string} anchor - 'center' to center the scene, 'bottom' to center it horizontally on the floor.
+     */
+    load(scene, anchor) {
+        this.clear(); // Start from an empty grid of the current size
+
+        const offsetX = Math.floor((this.width - scene.width) / 2);
+        const offsetY = (anchor === 'bottom') ? this.height - scene.height : Math.floor((this.height - scene.height) / 2);
+
+        for (let sy = 0; sy < scene.height; sy++) {
+            const gy = sy + offsetY;
+            if (gy < 0 || gy >= this.height) continue; // Cropped row
+            for (let sx = 0; sx < scene.width; sx++) {
+                const gx = sx + offsetX;
+                const si = sy * scene.width + sx;
+                const type = scene.types[si];
+                if (type === EMPTY || gx < 0 || gx >= this.width) continue;
+                if (scene.seeds) {
+                    this.set(gx, gy, type, scene.seeds[si] % PALETTE_SIZE);
+                } else {
+                    this.set(gx, gy, type);
+                }
+                if (scene.temps) {
+                    this.cellTemps[gy * this.width + gx] = scene.temps[si];
+                }
+                if (scene.states) {
+                    this.cellStates[gy * this.width + gx] = scene.states[si];
+                }
+            }
+        }
+    }
+}
+
+// --- Plants ---
+
+// Plants keep the water they've absorbed in cellStates. Water is drawn in from touching Water pixels,
+// shared with neighboring plant pixels (so it reaches the tips) and spent on growing new stems.
+// A plant that runs dry wilts into Dead Plant after a while.
+
+/**
+ * Picks a random direction for a plant to grow in: mostly up, sometimes diagonally or sideways.
+ * @param {function(): number} random - The world's random number generator.
+ * @returns {number[]} [dx, dy] offset of the cell to grow into.
+ */
+function pickGrowthDirection(random) {
+    const roll = random();
+    if (roll < 0.4) return [0, -1];
+    if (roll < 0.6) return [-1, -1];
+    if (roll < 0.8) return [1, -1];
+    return roll < 0.9 ? [-1, 0] : [1, 0];
+}
+
+/**
+ * Checks whether a plant can grow into a cell without running into another branch.
+ * The cell has to be empty and its only plant neighbor may be the one growing into it,
+ * which keeps stems thin and makes them branch out instead of filling in.
+ * @param {World} world - The world the pixel is in.
+ * @param {number} gx - Grid X coordinate of the cell to grow into.
+ * @param {number} gy - Grid Y coordinate of the cell to grow into.
+ * @returns {boolean} True if the plant may grow there.
+ */
+function canGrowInto(world, gx, gy) {
+    if (!world.inBounds(gx, gy) || world.get(gx, gy) !== EMPTY) return false;
+    let plantNeighbors = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if (world.get(gx + dx, gy + dy) === PLANT) plantNeighbors++;
+        }
+    }
+    return plantNeighbors <= 1;
+}
+
+/**
+ * Absorbs, shares and spends water for one plant pixel, growing or wilting it.
+ * @param {World} world - The world the pixel is in.
+ * @param {number} x - Grid X coordinate.
+ * @param {number} y - Grid Y coordinate.
+ */
+function updatePlant(world, x, y) {
+    const i = y * world.width + x;
+    const [dx, dy] = NEIGHBOR_OFFSETS[getRandomInt(world.random, 0, NEIGHBOR_OFFSETS.length - 1)];
+    const neighborType = world.get(x + dx, y + dy);
+
+    // 1. Drink from touching water, or share with a drier part of the plant
+    if (neighborType === WATER && world.cellStates[i] <= MAX_PLANT_WATER - WATER_PER_PIXEL) {
+        world.set(x + dx, y + dy, EMPTY);
+        world.cellStates[i] += WATER_PER_PIXEL;
+    } else if (neighborType === PLANT && world.inBounds(x + dx, y + dy)) {
+        const n = (y + dy) * world.width + x + dx;
+        const flow = (world.cellStates[i] - world.cellStates[n]) >> 1;
+        if (flow > 0) {
+            world.cellStates[i] -= flow;
+            world.cellStates[n] += flow;
+        }
+    }
+
+    // 2. Grow a new stem
+    if (world.cellStates[i] >= PLANT_GROWTH_COST && world.random() < PLANT_GROWTH_CHANCE) {
+        const [gx, gy] = pickGrowthDirection(world.random);
+        if (canGrowInto(world, x + gx, y + gy)) {
+            world.cellStates[i] -= PLANT_GROWTH_COST;
+            world.set(x + gx, y + gy, PLANT);
+            world.cellFlags[(y + gy) * world.width + x + gx] |= FLAG_UPDATED; // Don't grow again until next frame
+        }
+    }
+
+    // 3. Slowly dry out, and wilt once dry
+    if (world.cellStates[i] > 0) {
+        if (world.random() < PLANT_DRYING_CHANCE) world.cellStates[i]--;
+    } else if (world.random() < PLANT_WILT_CHANCE) {
+        world.set(x, y, DEAD_PLANT);
+        return;
+    }
+    world.keepChunkAwake(x, y); // Living plants keep growing or drying out
+}
+
+/**
+ * @param {number} state - The water a plant pixel holds.
+ * @returns {string} The water for the inspector.
+ */
+function describePlantState(state) {
+    return `Water: ${state} / ${MAX_PLANT_WATER}`;
+}
+
+/**
+ * @param {number} state - The water of a plant pixel loaded from a scene.
+ * @returns {boolean} True if a plant can hold that much water.
+ */
+function isValidPlantState(state) {
+    return state <= MAX_PLANT_WATER;
+}
+
+/**
+ * Lets a seed resting on soil sprout if there's water next to it or to the soil below it.
+ * @param {World} world - The world the pixel is in.
+ * @param {number} x - Grid X coordinate.
+ * @param {number} y - Grid Y coordinate.
+ */
+function updateSeed(world, x, y) {
+    if (!MATERIALS[world.get(x, y + 1)].soil) return;
+    const nearWater = NEIGHBOR_OFFSETS.some(([dx, dy]) =>
+        world.get(x + dx, y + dy) === WATER || world.get(x + dx, y + 1 + dy) === WATER);
+    if (!nearWater) return;
+    if (world.random() < SPROUT_CHANCE) {
+        world.set(x, y, PLANT);
+        world.cellStates[y * world.width + x] = WATER_PER_PIXEL; // Enough to get going
+    } else {
+        world.keepChunkAwake(x, y);
+    }
+}
+
+// --- Weather ---
+
+/**
+ * Runs a Cloud pixel: now and then it drops a droplet into the empty cell below it,
+ * Water or, below freezing, Snow. The cloud itself stays.
+ * @param {World} world - The world the pixel is in.
+ * @param {number} x - Grid X coordinate.
+ * @param {number} y - Grid Y coordinate.
+ */
+function updateCloud(world, x, y) {
+    if (!world.inBounds(x, y + 1) || world.get(x, y + 1) !== EMPTY) return;
+    if (world.random() < RAIN_CHANCE) {
+        const temp = world.cellTemps[y * world.width + x];
+        const below = (y + 1) * world.width + x;
+        world.set(x, y + 1, temp < 0 ? SNOW : WATER);
+        world.cellTemps[below] = temp; // Falls at the temperature of the cloud
+        world.cellFlags[below] |= FLAG_UPDATED; // Starts falling next frame
+    }
+    world.keepChunkAwake(x, y);
+}
+
+// --- Machines ---
+
+/**
+ * Runs a Cloner pixel: until it has learned a material it copies the first one that touches it,
+ * then it keeps emitting that material into empty neighbors.
+ * The learned material is kept in cellStates (EMPTY until something touches it).
+ * @param {World} world - The world the pixel is in.
+ * @param {number} x - Grid X coordinate.
+ * @param {number} y - Grid Y coordinate.
+ */
+function updateCloner(world, x, y) {
+    const i = y * world.width + x;
+    if (world.cellStates[i] === EMPTY) {
+        for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+            const neighborType = world.get(x + dx, y + dy);
+            if (neighborType !== EMPTY && !MATERIALS[neighborType].machine) {
+                world.cellStates[i] = neighborType;
+                world.keepChunkAwake(x, y);
+                break;
+            }
+        }
+        return; // Until then, anything that moves in next to it wakes the chunk again
+    }
+
+    const [dx, dy] = NEIGHBOR_OFFSETS[getRandomInt(world.random, 0, NEIGHBOR_OFFSETS.length - 1)];
+    if (world.inBounds(x + dx, y + dy) && world.get(x + dx, y + dy) === EMPTY && world.random() < CLONE_CHANCE) {
+        world.set(x + dx, y + dy, world.cellStates[i]);
+        world.cellFlags[(y + dy) * world.width + x + dx] |= FLAG_UPDATED; // Let it settle before it moves or acts
+    }
+    world.keepChunkAwake(x, y);
+}
+
+/**
+ * @param {number} state - The material a Cloner pixel has learned.
+ * @returns {string} What the Cloner copies, for the inspector.
+ */
+function describeClonerState(state) {
+    return state === EMPTY ? 'Copies: nothing yet' : `Copies: ${MATERIALS[state].name}`;
+}
+
+/**
+ * @param {number} state - A learned material loaded from a scene.
+ * @returns {boolean} True if it's a material a Cloner could have learned (or EMPTY).
+ */
+function isValidClonerState(state) {
+    return state === EMPTY || (MATERIALS[state] !== undefined && !MATERIALS[state].machine);
+}
+
+// --- Saving and Loading ---
+
+/**
+ * Validates a scene object and decodes it into flat arrays.
+ * @param {Object} scene - A scene as produced by World.serialize().
+ * @returns {{width: number, height: number, types: Uint8Array, seeds: (Uint8Array|null), temps: null,
+ *     states: (Uint16Array|null)}} The decoded scene.
+ * @throws {Error} If the scene has the wrong format or version, or contains unknown materials.
+ */
+export function parseScene(scene) {
+    if (!scene || scene.format !== SCENE_FORMAT) {
+        throw new Error('Not a Sand Game scene file');
+    }
+    if (!Number.isInteger(scene.version) || scene.version < 1 || scene.version > SCENE_VERSION) {
+        throw new Error(`Unsupported scene version ${scene.version} (expected ${SCENE_VERSION} or older)`);
+    }
+
+    const { width, height, rows } = scene;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new Error('Scene has invalid dimensions');
+    }
+    if (!Array.isArray(rows) || rows.length !== height) {
+        throw new Error(`Scene should have ${height} rows but has ${Array.isArray(rows) ? rows.length : 0}`);
+    }
+
+    const types = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = rows[y];
+        if (!Array.isArray(row) || row.length % 2 !== 0) {
+            throw new Error(`Row ${y} is malformed`);
+        }
+        let x = 0;
+        for (let r = 0; r < row.length; r += 2) {
+            const type = row[r];
+            const runLength = row[r + 1];
+            if (!Number.isInteger(type) || !MATERIALS[type]) {
+                throw new Error(`Unknown material id ${type} in row ${y}`);
+            }
+            if (!Number.isInteger(runLength) || runLength <= 0 || x + runLength > width) {
+                throw new Error(`Invalid run length in row ${y}`);
+            }
+            types.fill(type, y * width + x, y * width + x + runLength);
+            x += runLength;
+        }
+        if (x !== width) {
+            throw new Error(`Row ${y} covers ${x} cells instead of ${width}`);
+        }
+    }
+
+    let seeds = null;
+    if (scene.seeds !== undefined) {
+        seeds = base64ToBytes(scene.seeds);
+        if (seeds.length !== width * height) {
+            throw new Error('Scene color seeds don\'t match its dimensions');
+        }
+    }
+
+    let states = null;
+    if (scene.states !== undefined) {
+        if (!Array.isArray(scene.states) || scene.states.length % 2 !== 0) {
+            throw new Error('Scene states should be [cell index, state] pairs');
+        }
+        states = new Uint16Array(width * height);
+        for (let k = 0; k < scene.states.length; k += 2) {
+            const i = scene.states[k];
+            const state = scene.states[k + 1];
+            if (!Number.isInteger(i) || i < 0 || i >= width * height) {
+                throw new Error(`Invalid cell index ${i} in scene states`);
+            }
+            const { isValidState } = MATERIALS[types[i]];
+            if (!Number.isInteger(state) || state < 0 || state > 0xFFFF || (isValidState && !isValidState(state))) {
+                throw new Error(`Invalid state ${state} for cell ${i}`);
+            }
+            states[i] = state;
+        }
+    }
+
+    return { width, height, types, seeds, temps: null, states }; // Temperatures aren't saved
+}